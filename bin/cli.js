@@ -3,6 +3,7 @@
 import { loadConfig } from '../src/config.js';
 import { createNullModelServer } from '../src/server.js';
 import { listPersonas } from '../src/personas/index.js';
+import { compilePersonas, loadPersonaDir } from '../src/personas/custom.js';
 
 // Parse CLI args (zero-dep)
 const args = parseArgs(process.argv.slice(2));
@@ -12,27 +13,41 @@ if (args.help) {
   process.exit(0);
 }
 
-if (args.personas) {
-  console.log('\n  Available personas:\n');
-  for (const p of listPersonas()) {
-    console.log(`    ${bold(p.name.padEnd(14))} ${dim(p.description)}`);
-  }
-  console.log('');
-  process.exit(0);
-}
-
 // Build config from file + CLI overrides
 const overrides = {};
 if (args.port) overrides.port = parseInt(args.port);
 if (args.verbose || args.v) overrides.verbose = true;
 if (args.chaos) overrides.chaos = { enabled: true };
+if (args.strict) overrides.validation = 'strict';
+if (args.auth) {
+  overrides.auth = { enabled: true };
+  if (args.auth !== true) overrides.auth.keys = args.auth.split(',').map(k => k.trim());
+}
 if (args.persona) overrides.defaults = { persona: args.persona };
+if (args.fixtures) overrides.fixtures = args.fixtures;
+if (args['personas-dir']) overrides.personasDir = args['personas-dir'];
+if (args.seed !== undefined && args.seed !== true) overrides.seed = args.seed;
+if (args.record) overrides.record = args.record;
+if (args.cassette) overrides.cassette = args.cassette;
+if (args.replay) overrides.replay = args.replay;
+if (args.journal) overrides.journal = { file: args.journal };
 if (args.latency) {
   const ms = parseInt(args.latency);
   overrides.latency = { firstToken: ms * 5, perToken: ms };
 }
 
 const config = loadConfig(overrides);
+
+if (args.personas) {
+  const custom = { ...loadPersonaDir(config.personasDir), ...compilePersonas(config.personas) };
+  console.log('\n  Available personas:\n');
+  for (const p of listPersonas(custom)) {
+    console.log(`    ${bold(p.name.padEnd(14))} ${dim(p.description)}${p.custom ? dim(' (custom)') : ''}`);
+  }
+  console.log('');
+  process.exit(0);
+}
+
 const server = createNullModelServer(config);
 
 server.listen(config.port, () => {
@@ -43,18 +58,30 @@ server.listen(config.port, () => {
   console.log('');
   console.log(`  ${dim('Endpoints:')}`);
   console.log(`    ${dim('OpenAI')}     POST /v1/chat/completions`);
+  console.log(`    ${dim('OpenAI')}     POST /v1/responses`);
+  console.log(`    ${dim('OpenAI')}     POST /v1/completions, /v1/embeddings`);
   console.log(`    ${dim('Anthropic')}  POST /v1/messages`);
   console.log(`    ${dim('Gemini')}     POST /v1beta/models/:model:generateContent`);
   console.log(`    ${dim('Gemini')}     POST /v1beta/models/:model:streamGenerateContent`);
+  console.log(`    ${dim('Gemini')}     POST /v1beta/models/:model:embedContent`);
+  console.log(`    ${dim('Models')}     GET  /v1/models, /v1beta/models`);
   console.log(`    ${dim('Meta')}       GET  /personas, /config, /health`);
+  console.log(`    ${dim('Admin')}      /_admin/config, /_admin/fixtures, /_admin/next-response, /_admin/reset`);
   console.log('');
   console.log(`  ${dim('Persona:')}    ${config.defaults.persona}`);
+  if (config.fixtures) console.log(`  ${dim('Fixtures:')}   ${config.fixtures}`);
+  if (config.seed != null) console.log(`  ${dim('Seed:')}       ${config.seed}`);
+  if (config.record) console.log(`  ${dim('Recording:')}  ${config.record} → ${config.cassette}`);
+  if (config.replay) console.log(`  ${dim('Replaying:')}  ${config.replay}`);
+  if (config.journal.file) console.log(`  ${dim('Journal:')}    ${config.journal.file}`);
   console.log(`  ${dim('Chaos:')}      ${config.chaos.enabled ? yellow('enabled') : 'disabled'}`);
+  if (config.validation === 'strict') console.log(`  ${dim('Validation:')} strict`);
+  if (config.auth.enabled) console.log(`  ${dim('Auth:')}       ${yellow('API key required')}`);
   console.log(`  ${dim('Latency:')}    ${config.latency.firstToken}ms first token, ${config.latency.perToken}ms/token`);
   console.log('');
   console.log(`  ${dim('Usage:')}`);
   console.log(`    ${dim('Point your app\'s base URL at')} ${cyan(`http://localhost:${config.port}`)}`);
-  console.log(`    ${dim('Any API key will work — it\'s all fake.')}`);
+  if (!config.auth.enabled) console.log(`    ${dim('Any API key will work — it\'s all fake.')}`);
   console.log('');
 });
 
@@ -100,7 +127,16 @@ function printHelp() {
     --port, -p <port>      Port to listen on (default: 4000)
     --persona <name>       Default response persona (default: balanced)
     --latency <ms>         Base per-token latency in ms (default: 30)
+    --fixtures <file>      Scripted responses keyed on request content
+    --personas-dir <dir>   Custom persona files, reloaded on change (default: personas)
+    --seed <value>         Make responses, IDs, chaos and timing reproducible
+    --record <url>         Proxy to a real API and save traffic to a cassette
+    --cassette <file>      Cassette file to record into (default: nullmodel.cassette.json)
+    --replay <file>        Answer requests from a recorded cassette
+    --journal <file>       Append every request and its reply to a JSONL file
     --chaos                Enable chaos mode (random errors & slowdowns)
+    --strict               Reject malformed requests with the provider's 400
+    --auth [keys]          Require an API key (comma-separated valid keys)
     --verbose, -v          Log all requests
     --personas             List available personas
     --help                 Show this help
@@ -113,12 +149,21 @@ function printHelp() {
 
   ${bold('Endpoints:')}
     POST /v1/chat/completions                            # OpenAI-compatible
+    POST /v1/responses                                   # OpenAI Responses API
+    POST /v1/completions                                 # OpenAI legacy completions
+    POST /v1/embeddings                                  # OpenAI embeddings
     POST /v1/messages                                    # Anthropic-compatible
     POST /v1beta/models/:model:generateContent           # Gemini non-streaming
     POST /v1beta/models/:model:streamGenerateContent     # Gemini streaming
+    POST /v1beta/models/:model:embedContent              # Gemini embeddings
+    POST /v1beta/models/:model:batchEmbedContents        # Gemini batch embeddings
+    GET  /v1/models                                      # OpenAI / Anthropic model list
+    GET  /v1beta/models                                  # Gemini model list
     GET  /personas                                       # List personas
     GET  /config                                         # Current config
     GET  /health                                         # Health check
+    PUT  /_admin/config                                  # Change config at runtime
+    POST /_admin/next-response                           # Queue scripted replies
 
   ${bold('Personas:')}
     balanced      Medium responses, mixed formatting
@@ -127,6 +172,7 @@ function printHelp() {
     code          Code-heavy with syntax blocks
     markdown      Rich markdown (tables, lists, etc.)
     tool_calls    Function/tool call responses
+    thinking      Long extended reasoning, short answer
     error_prone   Random error states
 
   ${bold('Tip:')}
@@ -0,0 +1,78 @@
+// Admin control API: change behaviour at runtime, scoped to the caller's session
+//
+//   GET  /_admin/config          Effective config
+//   PUT  /_admin/config          Deep-merge a config patch (persona, chaos, latency, ...)
+//   POST /_admin/fixtures        Replace fixture rules ({ fixtures, append } or an array)
+//   POST /_admin/next-response   Queue scripted replies or errors for the next requests
+//   POST /_admin/reset           Drop all runtime changes for the session
+//   GET  /_admin/requests        Journaled requests, filtered by query parameters
+//   DELETE /_admin/requests      Clear the session's journal
+
+import { updateSessionConfig, setSessionFixtures, enqueueResponses } from './sessions.js';
+
+// Most copies one next-response call may queue through `count`
+const MAX_COUNT = 1000;
+
+export function handleAdmin(req, res, url, body, { sessions, session, journal }) {
+  const route = `${req.method} ${url.pathname}`;
+
+  try {
+    if (route === 'GET /_admin/config') {
+      return sendJSON(res, 200, { session: session.id, config: session.config });
+    }
+
+    if (route === 'PUT /_admin/config') {
+      updateSessionConfig(session, body);
+      return sendJSON(res, 200, { session: session.id, config: session.config });
+    }
+
+    if (route === 'POST /_admin/fixtures') {
+      const rules = Array.isArray(body) ? body : body.fixtures;
+      setSessionFixtures(session, rules, Boolean(body.append));
+      return sendJSON(res, 200, { session: session.id, fixtures: session.fixtures.length });
+    }
+
+    if (route === 'POST /_admin/next-response') {
+      enqueueResponses(session, toResponseList(body));
+      return sendJSON(res, 200, { session: session.id, queued: session.queue.length });
+    }
+
+    if (route === 'GET /_admin/requests') {
+      const filters = Object.fromEntries(url.searchParams);
+      const requests = journal.list({ ...filters, session: session.id });
+      return sendJSON(res, 200, { session: session.id, count: requests.length, requests });
+    }
+
+    if (route === 'DELETE /_admin/requests') {
+      journal.clear(session.id);
+      return sendJSON(res, 200, { session: session.id, cleared: true });
+    }
+
+    if (route === 'POST /_admin/reset') {
+      sessions.reset(session.id);
+      return sendJSON(res, 200, { session: session.id, reset: true });
+    }
+  } catch (err) {
+    return sendJSON(res, 400, { error: err.message });
+  }
+
+  sendJSON(res, 404, { error: `Unknown admin endpoint: ${route}` });
+}
+
+// An array, { responses: [...] }, or one response repeated `count` times
+function toResponseList(body) {
+  if (Array.isArray(body)) return body;
+  if (Array.isArray(body.responses)) return body.responses;
+  const { count = 1, ...response } = body;
+  if (!Number.isInteger(count) || count < 1 || count > MAX_COUNT) {
+    throw new Error(`"count" must be an integer from 1 to ${MAX_COUNT}`);
+  }
+  return Array.from({ length: count }, () => response);
+}
+
+function sendJSON(res, status, body) {
+  res.writeHead(status, { 'Content-Type': 'application/json' });
+  res.end(JSON.stringify(body, null, 2));
+}
+
+export default { handleAdmin };
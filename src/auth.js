@@ -0,0 +1,122 @@
+// API key simulation: valid keys pass, others get the provider's auth errors
+
+import { buildErrorBody, getErrorFamily } from './utils/errors.js';
+
+// Behaviours a configured key can map to, besides 'valid'
+const KEY_BEHAVIOURS = ['expired', 'no_quota', 'wrong_org'];
+
+/**
+ * Check a request's API key against `config.auth.keys`, which is either an
+ * array of valid keys or an object mapping each key to 'valid', 'expired',
+ * 'no_quota' or 'wrong_org'.
+ *
+ * Returns { key, outcome } where outcome is 'valid', 'missing', 'invalid',
+ * or the key's configured behaviour.
+ */
+export function authenticate(req, url, auth) {
+  const key = getApiKey(req, url);
+  if (!key) return { key: null, outcome: 'missing' };
+
+  const keys = Array.isArray(auth.keys)
+    ? Object.fromEntries(auth.keys.map(k => [k, 'valid']))
+    : auth.keys || {};
+
+  const behaviour = keys[key];
+  if (behaviour === 'valid' || KEY_BEHAVIOURS.includes(behaviour)) {
+    return { key, outcome: behaviour };
+  }
+  return { key, outcome: 'invalid' };
+}
+
+/**
+ * The request's API key: a Bearer token (OpenAI), x-api-key (Anthropic),
+ * x-goog-api-key or ?key= (Gemini)
+ */
+export function getApiKey(req, url) {
+  const header = req.headers.authorization;
+  if (header?.toLowerCase().startsWith('bearer ')) return header.slice(7).trim() || null;
+  return req.headers['x-api-key'] || req.headers['x-goog-api-key'] || url.searchParams.get('key') || null;
+}
+
+/**
+ * Show enough of a key to recognise it in logs without leaking it
+ */
+export function maskKey(key) {
+  if (!key) return '(none)';
+  if (key.length <= 10) return '***';
+  return `${key.slice(0, 6)}***${key.slice(-4)}`;
+}
+
+/**
+ * Write the provider's real response for a failed auth outcome
+ */
+export function sendAuthError(res, provider, { key, outcome }) {
+  const family = getErrorFamily(provider);
+  const { status, message, details } = AUTH_ERRORS[outcome][family](maskKey(key));
+
+  res.writeHead(status, { 'Content-Type': 'application/json' });
+  res.end(JSON.stringify(buildErrorBody(family, status, message, details)));
+}
+
+// Per outcome and provider family: (maskedKey) → { status, message, details }
+const AUTH_ERRORS = {
+  missing: {
+    openai: () => ({
+      status: 401,
+      message: "You didn't provide an API key. You need to provide your API key in an Authorization header using Bearer auth (i.e. Authorization: Bearer YOUR_KEY), or as the password field (with blank username) if you're accessing the API from your browser and are prompted for a username and password. You can obtain an API key from https://platform.openai.com/account/api-keys.",
+    }),
+    anthropic: () => ({ status: 401, message: 'x-api-key header is required' }),
+    gemini: () => ({
+      status: 403,
+      message: "Method doesn't allow unregistered callers (callers without established identity). Please use API Key or other form of API consumer identity to call this API.",
+    }),
+  },
+  invalid: {
+    openai: masked => ({
+      status: 401,
+      message: `Incorrect API key provided: ${masked}. You can find your API key at https://platform.openai.com/account/api-keys.`,
+      details: { code: 'invalid_api_key' },
+    }),
+    anthropic: () => ({ status: 401, message: 'invalid x-api-key' }),
+    gemini: () => ({ status: 400, message: 'API key not valid. Please pass a valid API key.' }),
+  },
+  // OpenAI and Anthropic treat a revoked key like an unknown one
+  expired: {
+    openai: masked => ({
+      status: 401,
+      message: `Incorrect API key provided: ${masked}. You can find your API key at https://platform.openai.com/account/api-keys.`,
+      details: { code: 'invalid_api_key' },
+    }),
+    anthropic: () => ({ status: 401, message: 'invalid x-api-key' }),
+    gemini: () => ({ status: 400, message: 'API key expired. Please renew the API key.' }),
+  },
+  no_quota: {
+    openai: () => ({
+      status: 429,
+      message: 'You exceeded your current quota, please check your plan and billing details. For more information on this error, read the docs: https://platform.openai.com/docs/guides/error-codes/api-errors.',
+      details: { type: 'insufficient_quota', code: 'insufficient_quota' },
+    }),
+    anthropic: () => ({
+      status: 400,
+      message: 'Your credit balance is too low to access the Anthropic API. Please go to Plans & Billing to upgrade or purchase credits.',
+    }),
+    gemini: () => ({
+      status: 429,
+      message: 'You exceeded your current quota, please check your plan and billing details.',
+    }),
+  },
+  wrong_org: {
+    openai: () => ({
+      status: 401,
+      message: 'OpenAI-Organization header should match organization for API key',
+      details: { code: 'mismatched_organization' },
+    }),
+    anthropic: () => ({
+      status: 403,
+      message: 'Your API key does not have permission to use the specified resource.',
+    }),
+    gemini: () => ({ status: 403, message: 'The caller does not have permission' }),
+  },
+};
+
+export default { authenticate, getApiKey, maskKey, sendAuthError };
@@ -0,0 +1,191 @@
+// Record-and-replay: capture real provider traffic once, serve it offline
+//
+// A cassette is a JSON file of request/response pairs. Responses keep their
+// original chunking and the delay before each chunk, so streams replay with
+// the same rhythm the real API had.
+
+import { readFileSync, writeFileSync, existsSync } from 'node:fs';
+import { resolve } from 'node:path';
+import { sleep } from './utils/streaming.js';
+
+// Request headers worth sending upstream; everything else stays local
+const FORWARDED_HEADERS = [
+  'content-type',
+  'authorization',
+  'x-api-key',
+  'x-goog-api-key',
+  'anthropic-version',
+  'anthropic-beta',
+  'openai-organization',
+  'openai-project',
+];
+
+// Response headers that describe the upstream connection, not the payload
+const DROPPED_HEADERS = [
+  'connection',
+  'content-encoding',
+  'content-length',
+  'date',
+  'keep-alive',
+  'set-cookie',
+  'transfer-encoding',
+];
+
+/**
+ * Create a recorder that proxies requests to `upstream` and appends each
+ * exchange to the cassette file at `path`
+ */
+export function createRecorder(upstream, path) {
+  const file = resolve(process.cwd(), path);
+  const cassette = existsSync(file) ? readCassette(file) : { version: 1, interactions: [] };
+  const base = upstream.replace(/\/+$/, '');
+
+  return {
+    file,
+
+    async forward(req, res, url, localBody) {
+      // nullmodel's own "_" keys would be unknown parameters upstream
+      const body = stripLocalKeys(localBody);
+      const headers = {};
+      for (const name of FORWARDED_HEADERS) {
+        if (req.headers[name]) headers[name] = req.headers[name];
+      }
+
+      const target = base + url.pathname + url.search;
+      const startedAt = Date.now();
+      let upstreamRes;
+      try {
+        upstreamRes = await fetch(target, {
+          method: req.method,
+          headers,
+          body: JSON.stringify(body),
+        });
+      } catch (err) {
+        // Nothing came back, so there is nothing to record
+        res.writeHead(502, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({
+          error: `Could not reach upstream ${base}: ${err.cause?.message || err.message}`,
+          upstream: target,
+        }, null, 2));
+        return;
+      }
+
+      const responseHeaders = {};
+      for (const [name, value] of upstreamRes.headers) {
+        if (!DROPPED_HEADERS.includes(name)) responseHeaders[name] = value;
+      }
+      res.writeHead(upstreamRes.status, responseHeaders);
+
+      // Relay chunks as they arrive, noting the gap before each one
+      const chunks = [];
+      const decoder = new TextDecoder();
+      let last = startedAt;
+      for await (const bytes of upstreamRes.body) {
+        const data = decoder.decode(bytes, { stream: true });
+        const at = Date.now();
+        chunks.push({ delay: at - last, data });
+        last = at;
+        if (!res.destroyed) res.write(data);
+      }
+      const tail = decoder.decode();
+      if (tail) chunks.push({ delay: 0, data: tail });
+      res.end(tail);
+
+      cassette.interactions.push({
+        request: {
+          method: req.method,
+          path: url.pathname,
+          query: redactQuery(url.searchParams),
+          body,
+        },
+        response: {
+          status: upstreamRes.status,
+          headers: responseHeaders,
+          chunks,
+        },
+      });
+      writeFileSync(file, JSON.stringify(cassette, null, 2));
+    },
+  };
+}
+
+/**
+ * Load a cassette for replay. Requests are matched on method, path and body
+ * (ignoring nullmodel's own "_" keys); repeated identical requests get the
+ * recorded responses in order, then keep getting the last one.
+ */
+export function loadCassette(path) {
+  const file = resolve(process.cwd(), path);
+  if (!existsSync(file)) {
+    throw new Error(`Cassette not found: ${file}`);
+  }
+
+  const queues = new Map();
+  for (const interaction of readCassette(file).interactions) {
+    const key = requestKey(interaction.request.method, interaction.request.path, interaction.request.body);
+    if (!queues.has(key)) queues.set(key, []);
+    queues.get(key).push(interaction.response);
+  }
+
+  return {
+    file,
+
+    find(method, path, body) {
+      const queue = queues.get(requestKey(method, path, body));
+      if (!queue) return null;
+      return queue.length > 1 ? queue.shift() : queue[0];
+    },
+  };
+}
+
+/**
+ * Write a recorded response back out with its original chunk timing
+ */
+export async function replayResponse(res, response) {
+  res.writeHead(response.status, response.headers);
+  for (const chunk of response.chunks) {
+    if (chunk.delay) await sleep(chunk.delay);
+    if (res.destroyed) return;
+    res.write(chunk.data);
+  }
+  res.end();
+}
+
+function readCassette(file) {
+  try {
+    const cassette = JSON.parse(readFileSync(file, 'utf-8'));
+    if (!Array.isArray(cassette.interactions)) throw new Error('missing "interactions" array');
+    return cassette;
+  } catch (err) {
+    throw new Error(`Invalid cassette ${file}: ${err.message}`);
+  }
+}
+
+function requestKey(method, path, body) {
+  return `${method} ${path} ${canonicalJSON(stripLocalKeys(body))}`;
+}
+
+function stripLocalKeys(body = {}) {
+  return Object.fromEntries(Object.entries(body).filter(([key]) => !key.startsWith('_')));
+}
+
+// JSON with sorted object keys, so key order in the client doesn't matter
+function canonicalJSON(value) {
+  if (Array.isArray(value)) return `[${value.map(canonicalJSON).join(',')}]`;
+  if (value && typeof value === 'object') {
+    const entries = Object.keys(value).sort().map(key => `${JSON.stringify(key)}:${canonicalJSON(value[key])}`);
+    return `{${entries.join(',')}}`;
+  }
+  return JSON.stringify(value);
+}
+
+// Gemini puts the API key in ?key=; it must never land in a cassette
+function redactQuery(params) {
+  const query = {};
+  for (const [name, value] of params) {
+    query[name] = name === 'key' ? '[redacted]' : value;
+  }
+  return query;
+}
+
+export default { createRecorder, loadCassette, replayResponse };
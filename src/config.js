@@ -12,23 +12,150 @@ const DEFAULTS = {
     persona: 'balanced',
     maxTokens: 512,
   },
+  reasoning: {
+    effortTokens: {
+      minimal: 64,
+      low: 256,
+      medium: 1024,
+      high: 4096,
+    },
+    perToken: 1,
+  },
+  embeddings: {
+    dimensions: 1536,
+  },
+  // Served by GET /v1/models and /v1beta/models; `provider` picks the list
+  models: [
+    {
+      id: 'gpt-4o',
+      provider: 'openai',
+      displayName: 'GPT-4o',
+      contextWindow: 128000,
+      maxOutputTokens: 16384,
+      capabilities: { tools: true, vision: true, thinking: false },
+    },
+    {
+      id: 'gpt-4o-mini',
+      provider: 'openai',
+      displayName: 'GPT-4o mini',
+      contextWindow: 128000,
+      maxOutputTokens: 16384,
+      capabilities: { tools: true, vision: true, thinking: false },
+    },
+    {
+      id: 'o3-mini',
+      provider: 'openai',
+      displayName: 'o3-mini',
+      contextWindow: 200000,
+      maxOutputTokens: 100000,
+      capabilities: { tools: true, vision: false, thinking: true },
+    },
+    {
+      id: 'text-embedding-3-small',
+      provider: 'openai',
+      displayName: 'text-embedding-3-small',
+      contextWindow: 8191,
+      maxOutputTokens: 0,
+      capabilities: { embeddings: true },
+    },
+    {
+      id: 'claude-sonnet-4-20250514',
+      provider: 'anthropic',
+      displayName: 'Claude Sonnet 4',
+      contextWindow: 200000,
+      maxOutputTokens: 64000,
+      capabilities: { tools: true, vision: true, thinking: true },
+    },
+    {
+      id: 'claude-3-5-haiku-20241022',
+      provider: 'anthropic',
+      displayName: 'Claude Haiku 3.5',
+      contextWindow: 200000,
+      maxOutputTokens: 8192,
+      capabilities: { tools: true, vision: true, thinking: false },
+    },
+    {
+      id: 'gemini-2.0-flash',
+      provider: 'gemini',
+      displayName: 'Gemini 2.0 Flash',
+      contextWindow: 1048576,
+      maxOutputTokens: 8192,
+      capabilities: { tools: true, vision: true, thinking: false },
+    },
+    {
+      id: 'gemini-2.5-pro',
+      provider: 'gemini',
+      displayName: 'Gemini 2.5 Pro',
+      contextWindow: 1048576,
+      maxOutputTokens: 65536,
+      capabilities: { tools: true, vision: true, thinking: true },
+    },
+    {
+      id: 'text-embedding-004',
+      provider: 'gemini',
+      displayName: 'Text Embedding 004',
+      contextWindow: 2048,
+      maxOutputTokens: 0,
+      capabilities: { embeddings: true },
+    },
+  ],
+  // `keys` is an array of valid keys, or maps each key to 'valid', 'expired', 'no_quota' or 'wrong_org'
+  auth: {
+    enabled: false,
+    keys: [],
+  },
+  // Token buckets per API key (or IP with by: 'ip'); profiles can set their own `rateLimits`
+  rateLimits: {
+    enabled: false,
+    by: 'key',
+    requestsPerMinute: 60,
+    tokensPerMinute: 100000,
+  },
+  // 'strict' rejects malformed requests with the provider's 400; 'lenient' accepts anything
+  validation: 'lenient',
+  // Per-model behaviour, first matching `model` glob wins
+  profiles: [],
+  // Custom personas by name, plus a directory of .json/.md persona files (watched)
+  personas: {},
+  personasDir: 'personas',
+  // Request journal: entries kept for GET /_admin/requests, plus an optional JSONL file
+  journal: {
+    limit: 1000,
+    file: null,
+  },
+  fixtures: null,
+  seed: null,
+  record: null,
+  cassette: 'nullmodel.cassette.json',
+  replay: null,
   chaos: {
     enabled: false,
     errorRate: 0.05,
     slowdownRate: 0.1,
     slowdownMultiplier: 5,
     rateLimitRate: 0.02,
+    disconnectRate: 0.02,
+    streamErrorRate: 0.02,
+    stallRate: 0.01,
+    stallDuration: 10000,
+    truncateRate: 0.02,
+    // JSON-mode replies that violate their schema or stop mid-document
+    invalidJsonRate: 0.05,
   },
   cors: true,
   verbose: false,
 };
 
-export function loadConfig(overrides = {}) {
+/**
+ * Defaults, then the config file, then overrides. `configFile` is resolved
+ * against cwd; pass null to skip reading any file.
+ */
+export function loadConfig(overrides = {}, { configFile = 'nullmodel.config.json' } = {}) {
   let fileConfig = {};
 
   // Look for config file in cwd
-  const configPath = resolve(process.cwd(), 'nullmodel.config.json');
-  if (existsSync(configPath)) {
+  const configPath = configFile && resolve(process.cwd(), configFile);
+  if (configPath && existsSync(configPath)) {
     try {
       const raw = readFileSync(configPath, 'utf-8');
       fileConfig = JSON.parse(raw);
@@ -40,6 +167,13 @@ export function loadConfig(overrides = {}) {
   return deepMerge(DEFAULTS, fileConfig, overrides);
 }
 
+/**
+ * Merge config patches over a config without mutating it; arrays replace
+ */
+export function mergeConfig(config, ...patches) {
+  return deepMerge(config, ...patches);
+}
+
 function deepMerge(...objects) {
   const result = {};
   for (const obj of objects) {
@@ -0,0 +1,112 @@
+// Scripted response fixtures: deterministic answers keyed on request content
+// Rules are checked in order and the first match wins.
+
+import { readFileSync } from 'node:fs';
+import { resolve } from 'node:path';
+
+const MATCH_FIELDS = ['lastUserMessage', 'model', 'system', 'tools'];
+
+/**
+ * Load fixture rules from a file path (relative to cwd) or an inline array.
+ * Unlike the config file, a broken fixtures file is an error: tests that
+ * rely on exact output should fail loudly rather than fall back to personas.
+ */
+export function loadFixtures(source) {
+  if (!source) return [];
+
+  let rules = source;
+  if (typeof source === 'string') {
+    const path = resolve(process.cwd(), source);
+    let raw;
+    try {
+      raw = JSON.parse(readFileSync(path, 'utf-8'));
+    } catch (err) {
+      throw new Error(`Could not load fixtures from ${path}: ${err.message}`);
+    }
+    rules = Array.isArray(raw) ? raw : raw.fixtures;
+  }
+
+  if (!Array.isArray(rules)) {
+    throw new Error('Fixtures must be an array of rules or an object with a "fixtures" array');
+  }
+
+  return rules.map(compileRule);
+}
+
+/**
+ * Find the first rule whose every match condition holds for the conversation
+ */
+export function matchFixture(fixtures, conversation) {
+  if (!fixtures?.length) return null;
+  return fixtures.find(rule => rule.test(conversation)) || null;
+}
+
+function compileRule(rule, i) {
+  const label = rule.name || `#${i}`;
+
+  // `toolCalls` makes several parallel calls; `toolCall` is shorthand for one
+  const toolCalls = rule.toolCalls ?? (rule.toolCall ? [rule.toolCall] : []);
+  if (!Array.isArray(toolCalls)) {
+    throw new Error(`Fixture ${label} has "toolCalls" that isn't an array`);
+  }
+  if (rule.text === undefined && !toolCalls.length && !rule.error) {
+    throw new Error(`Fixture ${label} needs a "text", "toolCall(s)" or "error" response`);
+  }
+  if (toolCalls.some(call => !call?.name)) {
+    throw new Error(`Fixture ${label} has a tool call without a name`);
+  }
+
+  const match = rule.match || {};
+  const unknown = Object.keys(match).filter(key => !MATCH_FIELDS.includes(key));
+  if (unknown.length) {
+    throw new Error(`Fixture ${label} matches on unknown field(s): ${unknown.join(', ')}`);
+  }
+
+  const checks = [];
+  for (const field of ['lastUserMessage', 'model', 'system']) {
+    if (match[field] !== undefined) {
+      const test = compileMatcher(match[field], label);
+      checks.push(conversation => test(conversation[field]));
+    }
+  }
+
+  if (match.tools !== undefined) {
+    // Every listed tool must be declared; each entry may itself be a matcher
+    const required = (Array.isArray(match.tools) ? match.tools : [match.tools])
+      .map(spec => compileMatcher(spec, label));
+    checks.push(conversation => required.every(test => conversation.toolNames.some(test)));
+  }
+
+  return {
+    name: rule.name || null,
+    text: rule.text ?? '',
+    toolCalls: toolCalls.map(call => ({ name: call.name, arguments: call.arguments || {} })),
+    error: rule.error || null,
+    thinking: rule.thinking ?? null,
+    redactedThinking: Boolean(rule.redactedThinking),
+    test: conversation => checks.every(check => check(conversation)),
+  };
+}
+
+// A matcher is a string (exact) or { equals | contains | regex, flags }
+function compileMatcher(spec, label) {
+  if (typeof spec === 'string') {
+    return value => value === spec;
+  }
+  if (spec && typeof spec === 'object') {
+    if (spec.equals !== undefined) return value => value === spec.equals;
+    if (spec.contains !== undefined) return value => value.includes(spec.contains);
+    if (spec.regex !== undefined) {
+      let regex;
+      try {
+        regex = new RegExp(spec.regex, spec.flags);
+      } catch (err) {
+        throw new Error(`Fixture ${label} has an invalid regex: ${err.message}`);
+      }
+      return value => regex.test(value);
+    }
+  }
+  throw new Error(`Fixture ${label} has an invalid matcher: ${JSON.stringify(spec)}`);
+}
+
+export default { loadFixtures, matchFixture };
@@ -0,0 +1,84 @@
+// Programmatic API: isolated nullmodel instances for test runners
+
+import { createServer } from 'node:http';
+import { loadConfig, mergeConfig } from './config.js';
+import { createNullModel, createNullModelServer } from './server.js';
+import { updateSessionConfig, enqueueResponses, DEFAULT_SESSION } from './sessions.js';
+import { getPersona, unknownPersonaMessage } from './personas/index.js';
+
+// Tests want answers, not realistic pacing, and nothing read or watched from
+// the working directory; options or a config file still win
+const TEST_DEFAULTS = {
+  latency: { firstToken: 0, perToken: 0 },
+  reasoning: { perToken: 0 },
+  personasDir: null,
+};
+
+/**
+ * Start a nullmodel server for a test file or suite.
+ *
+ * `options` are config overrides (persona via `defaults.persona`, `latency`,
+ * `fixtures`, `chaos`, ...) plus:
+ *   port        defaults to 0, a free port
+ *   host        defaults to 127.0.0.1
+ *   configFile  read a config file too — true for ./nullmodel.config.json;
+ *               by default no file is loaded
+ *
+ * Resolves to { url, port, server, config, close, setPersona, enqueue, requests }.
+ * setPersona and enqueue take an optional { session } to target an
+ * x-nullmodel-session scope; requests takes the journal filters, session included.
+ */
+export async function startNullModel(options = {}) {
+  const { port = 0, host = '127.0.0.1', configFile = null, ...overrides } = options;
+  const config = loadConfig(
+    mergeConfig(configFile ? {} : TEST_DEFAULTS, overrides, { port }),
+    { configFile: configFile === true ? 'nullmodel.config.json' : configFile }
+  );
+
+  const nullmodel = createNullModel(config);
+  const server = createServer(nullmodel.handler);
+
+  await new Promise((resolve, reject) => {
+    server.once('error', reject);
+    server.listen(port, host, resolve);
+  });
+
+  const address = server.address();
+  config.port = address.port;
+
+  return {
+    url: `http://${host}:${address.port}`,
+    port: address.port,
+    server,
+    config,
+
+    close() {
+      return new Promise(resolve => {
+        nullmodel.close();
+        server.close(() => resolve());
+        // Keep-alive and stalled streams would otherwise hold close open
+        server.closeAllConnections?.();
+      });
+    },
+
+    setPersona(name, { session = DEFAULT_SESSION } = {}) {
+      const target = nullmodel.sessions.get(session);
+      const personas = nullmodel.personasFor(target);
+      if (!getPersona(name, personas)) throw new Error(unknownPersonaMessage(name, personas));
+      updateSessionConfig(target, { defaults: { persona: name } });
+    },
+
+    // Fixture-style replies ({ text | toolCall | error }) answering the next requests
+    enqueue(responses, { session = DEFAULT_SESSION } = {}) {
+      enqueueResponses(nullmodel.sessions.get(session), Array.isArray(responses) ? responses : [responses]);
+    },
+
+    requests(filters = {}) {
+      return nullmodel.journal.list({ session: DEFAULT_SESSION, ...filters });
+    },
+  };
+}
+
+export { createNullModel, createNullModelServer, loadConfig };
+
+export default createNullModelServer;
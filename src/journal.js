@@ -0,0 +1,150 @@
+// Request journal: what each API request sent, how it was answered, and how long it took
+//
+// Entries stay in memory (the most recent `limit`) for GET /_admin/requests,
+// and are appended to a JSONL file when one is configured.
+
+import { appendFileSync, accessSync, constants } from 'node:fs';
+import { resolve, dirname } from 'node:path';
+
+// Non-streaming bodies larger than this are journaled as truncated text
+const MAX_BODY_BYTES = 64 * 1024;
+
+/**
+ * A file that can't be written is an error here, at startup; one that fails
+ * later is reported once through `onError` and the server keeps going.
+ */
+export function createJournal({ limit = 1000, file = null } = {}, { onError } = {}) {
+  const entries = [];
+  const path = file ? resolve(process.cwd(), file) : null;
+  let sequence = 0;
+  let writeFailed = false;
+
+  if (path) {
+    try {
+      accessSync(dirname(path), constants.W_OK);
+    } catch (err) {
+      throw new Error(`Journal file ${path} is not writable: ${err.message}`);
+    }
+  }
+
+  const append = entry => {
+    try {
+      appendFileSync(path, `${JSON.stringify(entry)}\n`);
+    } catch (err) {
+      if (!writeFailed) onError?.(new Error(`Could not write journal file ${path}: ${err.message}`));
+      writeFailed = true;
+    }
+  };
+
+  return {
+    file: path,
+
+    /**
+     * Start an entry for a request and follow its response until it ends.
+     * `replies` is filled in by resolveReply as the provider answers.
+     */
+    start(req, res, fields) {
+      const entry = {
+        id: ++sequence,
+        time: new Date().toISOString(),
+        method: req.method,
+        ...fields,
+        replies: [],
+        status: null,
+        stream: false,
+        response: null,
+        timings: { firstByteMs: null, totalMs: null },
+      };
+
+      observeResponse(res, entry, () => {
+        entries.push(entry);
+        if (entries.length > limit) entries.shift();
+        if (path) append(entry);
+      });
+
+      return entry;
+    },
+
+    /**
+     * Entries matching every given filter, oldest first:
+     * session, provider, model, path, persona, status, since (ISO time), limit
+     */
+    list(filters = {}) {
+      const since = filters.since ? Date.parse(filters.since) : null;
+      const matches = entries.filter(entry =>
+        (filters.session === undefined || entry.session === filters.session) &&
+        (!filters.provider || entry.provider === filters.provider) &&
+        (!filters.model || entry.model === filters.model) &&
+        (!filters.path || entry.path === filters.path) &&
+        (!filters.persona || entry.replies.some(reply => reply.persona === filters.persona)) &&
+        (!filters.status || entry.status === Number(filters.status)) &&
+        (since === null || Date.parse(entry.time) >= since)
+      );
+      return filters.limit ? matches.slice(-Number(filters.limit)) : matches;
+    },
+
+    // Forget a session's entries, or everything; the file is left alone
+    clear(session) {
+      const kept = session === undefined ? [] : entries.filter(entry => entry.session !== session);
+      entries.splice(0, entries.length, ...kept);
+    },
+  };
+}
+
+/**
+ * Capture status, timings and (for non-streaming responses) the body, then
+ * call `done` as the response ends — before the client can read it, so the
+ * entry is listed by the time the body arrives — or when the client goes away
+ */
+function observeResponse(res, entry, done) {
+  const started = Date.now();
+  const chunks = [];
+  let size = 0;
+  let finished = false;
+
+  const capture = chunk => {
+    if (entry.timings.firstByteMs === null) entry.timings.firstByteMs = Date.now() - started;
+    if (!chunk || typeof chunk === 'function' || size > MAX_BODY_BYTES) return;
+    const buffer = Buffer.from(chunk);
+    size += buffer.length;
+    chunks.push(buffer);
+  };
+
+  const finish = () => {
+    if (finished) return;
+    finished = true;
+    entry.status = res.statusCode;
+    entry.stream = String(res.getHeader('content-type') || '').includes('text/event-stream');
+    entry.timings.totalMs = Date.now() - started;
+
+    // Streams are journaled through their replies; their raw events aren't kept
+    if (!entry.stream && chunks.length) {
+      const text = Buffer.concat(chunks).toString('utf-8');
+      try {
+        entry.response = JSON.parse(text);
+      } catch {
+        entry.response = size > MAX_BODY_BYTES ? `${text}…` : text;
+      }
+    }
+
+    done();
+  };
+
+  const write = res.write.bind(res);
+  const end = res.end.bind(res);
+  res.write = (chunk, ...rest) => {
+    capture(chunk);
+    return write(chunk, ...rest);
+  };
+  res.end = (chunk, ...rest) => {
+    capture(chunk);
+    const result = end(chunk, ...rest);
+    finish();
+    return result;
+  };
+
+  // Destroyed responses never call end()
+  res.once('close', finish);
+}
+
+export default { createJournal };
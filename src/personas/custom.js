@@ -0,0 +1,181 @@
+// User-defined personas: inline in the config, or one file each in a directory
+//
+// A persona is { description, responses, toolCalls, thinking, redactedThinking,
+// rounds, parallelToolCalls }. Directory personas are named after their file:
+//   support.json   the persona object
+//   pirate.md      responses separated by `---` lines, with optional
+//                  front matter for the description
+// The directory is watched, so edits apply without a restart.
+
+import { readFileSync, readdirSync, existsSync, watch } from 'node:fs';
+import { resolve, extname, basename, join } from 'node:path';
+
+// Editors save in bursts (temp file, rename, chmod); reload once they settle
+const RELOAD_DELAY = 50;
+
+/**
+ * Validate persona definitions keyed by name. Throws naming the persona and
+ * where it came from, so a typo fails at startup rather than mid-test.
+ */
+export function compilePersonas(definitions, source = 'config') {
+  if (!definitions) return {};
+  if (typeof definitions !== 'object' || Array.isArray(definitions)) {
+    throw new Error('Personas must be an object keyed by persona name');
+  }
+
+  return Object.fromEntries(
+    Object.entries(definitions).map(([name, definition]) => [name, compilePersona(name, definition, source)])
+  );
+}
+
+/**
+ * Load every .json and .md persona in a directory; a missing directory has none
+ */
+export function loadPersonaDir(dir) {
+  if (!dir) return {};
+  const path = resolve(process.cwd(), dir);
+  if (!existsSync(path)) return {};
+
+  const personas = {};
+  for (const file of readdirSync(path).sort()) {
+    const ext = extname(file).toLowerCase();
+    if (file.startsWith('.') || (ext !== '.json' && ext !== '.md')) continue;
+
+    const filePath = join(path, file);
+    let definition;
+    try {
+      const text = readFileSync(filePath, 'utf-8');
+      definition = ext === '.json' ? JSON.parse(text) : parseMarkdown(text);
+    } catch (err) {
+      throw new Error(`Could not load persona from ${filePath}: ${err.message}`);
+    }
+    const name = basename(file, extname(file));
+    personas[name] = compilePersona(name, definition, filePath);
+  }
+
+  return personas;
+}
+
+/**
+ * Directory personas that follow the files. `personas` is replaced on each
+ * reload; a broken edit keeps the last good set and reports through onError.
+ */
+export function createPersonaLibrary(dir, { onReload, onError } = {}) {
+  const library = {
+    personas: loadPersonaDir(dir),
+    close() {},
+  };
+
+  const path = dir && resolve(process.cwd(), dir);
+  if (!path || !existsSync(path)) return library;
+
+  let timer = null;
+  const watcher = watch(path, () => {
+    clearTimeout(timer);
+    timer = setTimeout(() => {
+      try {
+        library.personas = loadPersonaDir(path);
+        onReload?.(library.personas);
+      } catch (err) {
+        onError?.(err);
+      }
+    }, RELOAD_DELAY);
+    timer.unref();
+  });
+  // Watching must not keep a CLI or test process alive on its own
+  watcher.unref();
+  // A deleted or unreadable directory ends the watch; the last good set stays
+  watcher.on('error', err => {
+    clearTimeout(timer);
+    watcher.close();
+    onError?.(new Error(`Stopped watching personas in ${path}: ${err.message}`));
+  });
+
+  library.close = () => {
+    clearTimeout(timer);
+    watcher.close();
+  };
+  return library;
+}
+
+function compilePersona(name, definition, source) {
+  const label = `Persona "${name}" (${source})`;
+
+  if (!definition || typeof definition !== 'object' || Array.isArray(definition)) {
+    throw new Error(`${label} must be an object`);
+  }
+  if (!isStringList(definition.responses)) {
+    throw new Error(`${label} needs a non-empty "responses" array of strings`);
+  }
+  if (definition.thinking !== undefined && !isStringList(definition.thinking)) {
+    throw new Error(`${label} has "thinking" that isn't a non-empty array of strings`);
+  }
+  if (definition.toolCalls !== undefined) {
+    if (!Array.isArray(definition.toolCalls) || definition.toolCalls.some(call => !call?.name)) {
+      throw new Error(`${label} needs every entry in "toolCalls" to have a name`);
+    }
+  }
+  if (definition.redactedThinking !== undefined && typeof definition.redactedThinking !== 'boolean') {
+    throw new Error(`${label} needs "redactedThinking" to be true or false`);
+  }
+  for (const field of ['rounds', 'parallelToolCalls']) {
+    if (definition[field] !== undefined && !(Number.isInteger(definition[field]) && definition[field] > 0)) {
+      throw new Error(`${label} needs "${field}" to be a positive integer`);
+    }
+  }
+
+  return {
+    name,
+    description: definition.description || `Custom persona from ${source}`,
+    responses: definition.responses,
+    ...(definition.toolCalls && {
+      toolCalls: definition.toolCalls.map(call => ({ name: call.name, arguments: call.arguments || {} })),
+    }),
+    ...(definition.thinking && { thinking: definition.thinking }),
+    ...(definition.redactedThinking && { redactedThinking: true }),
+    ...(definition.rounds && { rounds: definition.rounds }),
+    ...(definition.parallelToolCalls && { parallelToolCalls: definition.parallelToolCalls }),
+  };
+}
+
+function isStringList(value) {
+  return Array.isArray(value) && value.length > 0 && value.every(item => typeof item === 'string');
+}
+
+/**
+ * Markdown personas: `---` lines outside code fences separate responses.
+ * Leading front matter may set `description: ...`.
+ */
+function parseMarkdown(text) {
+  const lines = text.replace(/\r\n/g, '\n').split('\n');
+  let description;
+
+  if (lines[0] === '---') {
+    const end = lines.indexOf('---', 1);
+    if (end !== -1) {
+      for (const line of lines.slice(1, end)) {
+        const field = line.match(/^description:\s*(.*)$/);
+        if (field) description = field[1].trim().replace(/^(["'])(.*)\1$/, '$2');
+      }
+      lines.splice(0, end + 1);
+    }
+  }
+
+  const responses = [];
+  let current = [];
+  let inFence = false;
+  for (const line of lines) {
+    if (line.trimStart().startsWith('```')) inFence = !inFence;
+    if (!inFence && line.trim() === '---') {
+      responses.push(current.join('\n'));
+      current = [];
+    } else {
+      current.push(line);
+    }
+  }
+  responses.push(current.join('\n'));
+
+  return { description, responses: responses.map(r => r.trim()).filter(Boolean) };
+}
+
+export default { compilePersonas, loadPersonaDir, createPersonaLibrary };
@@ -1,6 +1,14 @@
 // Built-in response personas for exercising different UI states
 // Each persona returns content that stress-tests a specific rendering scenario
 
+import { random } from '../utils/random.js';
+
+// Reasoning used for extended thinking when a persona has none of its own
+const DEFAULT_THINKING = [
+  "Let me think about what's actually being asked here. The user wants a clear answer, not a survey of every option. I should identify the core constraint first, then check whether the obvious approach handles the edge cases. If it does, recommend it directly and mention the one tradeoff that matters.",
+  "Okay, breaking this down. There are really two questions: what the right design is, and how to get there incrementally. I'll answer the first briefly, then focus on a concrete first step, since that's what will be most useful right now.",
+];
+
 const personas = {
   balanced: {
     name: 'balanced',
@@ -78,6 +86,19 @@ const personas = {
     ],
   },
 
+  thinking: {
+    name: 'thinking',
+    description: 'Long extended reasoning before a short answer — tests thinking block UI',
+    thinking: [
+      "The user is asking how to debounce a search input. Let me consider the options.\n\nA plain setTimeout/clearTimeout pair works and has no dependencies. The subtle part is cleanup: in a component, the pending timer must be cleared on unmount or the callback fires against stale state.\n\nShould I suggest a leading-edge debounce? Probably not — for search, trailing-edge is what people expect: wait until typing stops, then query.\n\nWhat delay? 250–300ms is the usual sweet spot. Shorter feels twitchy and wastes requests; longer feels laggy.\n\nOne more thing worth mentioning: responses can arrive out of order, so the latest request should win. An AbortController on each new query handles that cleanly.\n\nSo: trailing-edge debounce around 300ms, clear on unmount, abort stale requests. Keep the answer short.",
+      "Let me work through this step by step.\n\nFirst, what does the error actually say? \"Cannot read properties of undefined\" means something upstream returned undefined where an object was expected. The stack trace points at the render, so the data isn't loaded yet on first paint.\n\nIs this a race or a shape mismatch? If the API sometimes returns { data: null }, optional chaining hides the symptom but not the cause. If it's just the initial render, a loading state is the right fix.\n\nThe initial-render explanation fits better: it fails on every cold load and never after navigation.\n\nAnswer: render a loading state until the request resolves, and don't reach for optional chaining as the fix.",
+    ],
+    responses: [
+      "Use a trailing-edge debounce of about 300ms, clear the timer on unmount, and abort the previous request whenever a new one starts so stale results can't overwrite fresh ones.",
+      "The data isn't loaded on the first render. Show a loading state until the request resolves rather than papering over it with optional chaining.",
+    ],
+  },
+
   error_prone: {
     name: 'error_prone',
     description: 'Simulates various error states — tests error UI handling',
@@ -89,32 +110,82 @@ const personas = {
       "This response works fine though.",
     ],
   },
+
+  agent: {
+    name: 'agent',
+    description: 'Runs tool rounds with parallel calls, then summarises — tests agent loop UI',
+    // Tool rounds before the final answer, and calls per round when parallel calls are allowed
+    rounds: 3,
+    parallelToolCalls: 2,
+    responses: [
+      "Done — I worked through {{toolRounds}} rounds of tool calls ({{toolNames}}). Here's the summary:\n\n- Gathered the data you asked for about \"{{lastUserMessage}}\"\n- Cross-checked the results between tools\n- Nothing looks out of place\n\nLet me know if you want me to dig deeper into any of it.",
+      "All set. After {{toolRounds}} rounds of tool calls I have what I need: the results are consistent, and the short answer to \"{{lastUserMessage}}\" is that everything checks out.",
+    ],
+  },
+
+  echo: {
+    name: 'echo',
+    description: 'Repeats the last user message verbatim — tests that the right turn was sent',
+    responses: ['{{lastUserMessage}}'],
+  },
+
+  mirror: {
+    name: 'mirror',
+    description: 'Describes the request it received — tests conversation and tool wiring',
+    responses: [
+      'You said: "{{lastUserMessage}}"\n\nModel: {{model}}\nMessages: {{messageCount}}\nTools: {{toolNames}}\nSystem prompt: {{systemPrompt}}',
+    ],
+  },
 };
 
-export function getPersona(name) {
-  return personas[name] || personas.balanced;
+/**
+ * Look up a persona by name; `custom` personas (from config or files) shadow
+ * the built-ins. Returns null for unknown names.
+ */
+export function getPersona(name, custom = {}) {
+  if (Object.hasOwn(custom, name)) return custom[name];
+  return Object.hasOwn(personas, name) ? personas[name] : null;
+}
+
+export function unknownPersonaMessage(name, custom = {}) {
+  const known = listPersonas(custom).map(p => p.name).join(', ');
+  return `Unknown persona "${name}". Available personas: ${known}`;
 }
 
 export function getResponse(persona) {
   const p = typeof persona === 'string' ? getPersona(persona) : persona;
-  const idx = Math.floor(Math.random() * p.responses.length);
+  const idx = Math.floor(random() * p.responses.length);
   return p.responses[idx];
 }
 
-export function getToolCall(persona) {
+/**
+ * Pick up to `count` of a persona's scripted tool calls, consecutive from a
+ * random start and none twice, with the response paired with the first
+ */
+export function getToolCalls(persona, count = 1) {
   const p = typeof persona === 'string' ? getPersona(persona) : persona;
   if (!p.toolCalls) return null;
-  const idx = Math.floor(Math.random() * p.toolCalls.length);
+  const idx = Math.floor(random() * p.toolCalls.length);
   return {
-    toolCall: p.toolCalls[idx],
+    toolCalls: Array.from({ length: Math.min(count, p.toolCalls.length) }, (_, i) => p.toolCalls[(idx + i) % p.toolCalls.length]),
     response: p.responses[idx] || p.responses[0],
   };
 }
 
-export function listPersonas() {
-  return Object.entries(personas).map(([key, p]) => ({
+/**
+ * Pick the extended-thinking text for a persona
+ */
+export function getThinking(persona) {
+  const p = typeof persona === 'string' ? getPersona(persona) : persona;
+  const options = p.thinking || DEFAULT_THINKING;
+  return options[Math.floor(random() * options.length)];
+}
+
+export function listPersonas(custom = {}) {
+  return Object.entries({ ...personas, ...custom }).map(([key, p]) => ({
     name: key,
     description: p.description,
+    ...(Object.hasOwn(custom, key) && { custom: true }),
   }));
 }
 
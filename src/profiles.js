@@ -0,0 +1,138 @@
+// Per-model behaviour profiles, matched by glob on the model name
+// Profiles are checked in order and the first match wins.
+
+import { extractConversation, estimatePromptTokens } from './utils/conversation.js';
+
+const CAPABILITIES = ['tools', 'vision', 'thinking'];
+
+/**
+ * Compile the config's `profiles` array, e.g.
+ *   { model: 'gpt-4o-mini*', latency: { perToken: 10 }, contextWindow: 128000,
+ *     persona: 'terse', tools: true, vision: false, thinking: false }
+ */
+export function compileProfiles(profiles) {
+  if (!profiles) return [];
+  if (!Array.isArray(profiles)) {
+    throw new Error('Model profiles must be an array');
+  }
+
+  return profiles.map((profile, i) => {
+    if (typeof profile.model !== 'string') {
+      throw new Error(`Model profile #${i} needs a "model" glob`);
+    }
+    return { ...profile, pattern: globToRegExp(profile.model) };
+  });
+}
+
+export function matchProfile(profiles, model) {
+  if (!profiles.length || !model) return null;
+  return profiles.find(profile => profile.pattern.test(model)) || null;
+}
+
+/**
+ * What the request's model accepts: its profile, falling back to the catalog
+ * entry with the same id for `contextWindow` and `tools` / `vision` /
+ * `thinking`. Rate limit buckets stay per profile.
+ */
+export function resolveModelLimits(profile, models, model) {
+  const entry = model && Array.isArray(models) && models.find(candidate => candidate?.id === model);
+  if (!entry) return profile;
+
+  const capabilities = CAPABILITIES
+    .filter(name => typeof entry.capabilities?.[name] === 'boolean')
+    .map(name => [name, entry.capabilities[name]]);
+  return {
+    model: entry.id,
+    ...(entry.contextWindow && { contextWindow: entry.contextWindow }),
+    ...Object.fromEntries(capabilities),
+    ...profile,
+  };
+}
+
+/**
+ * The config a request runs with under its profile: the profile's latency
+ * and default persona replace the global ones
+ */
+export function applyProfile(config, profile) {
+  if (!profile) return config;
+  return {
+    ...config,
+    latency: { ...config.latency, ...profile.latency },
+    defaults: { ...config.defaults, ...(profile.persona ? { persona: profile.persona } : {}) },
+  };
+}
+
+/**
+ * Whether the request's prompt is larger than the profile's context window
+ */
+export function exceedsContextWindow(profile, provider, body, meta) {
+  if (!profile?.contextWindow) return false;
+  return estimatePromptTokens(extractConversation(provider, body, meta)) > profile.contextWindow;
+}
+
+/**
+ * The first capability the request uses that its profile turns off, as
+ * { capability, param, message }, or null. Unset capabilities count as
+ * supported.
+ */
+export function findUnsupportedCapability(profile, provider, body, meta) {
+  if (!profile) return null;
+
+  const used = {
+    tools: extractConversation(provider, body, meta).toolNames.length > 0 && 'tools',
+    vision: hasImage(body) && (provider === 'gemini' ? 'contents' : 'messages'),
+    thinking: getThinkingParam(provider, body),
+  };
+
+  const capability = CAPABILITIES.find(name => profile[name] === false && used[name]);
+  if (!capability) return null;
+
+  const param = used[capability];
+  const message = capability === 'vision'
+    ? 'Invalid content type. Image input is not supported with this model.'
+    : `Unsupported parameter: '${param}' is not supported with this model.`;
+  return { capability, param, message };
+}
+
+// Image parts in any provider's format: image_url, input_image, image, or Gemini inline/file data
+function hasImage(value) {
+  if (!value || typeof value !== 'object') return false;
+  if (Array.isArray(value)) return value.some(hasImage);
+  if (['image_url', 'input_image', 'image'].includes(value.type)) return true;
+  const data = value.inlineData || value.inline_data || value.fileData || value.file_data;
+  if (data && String(data.mimeType || data.mime_type || '').startsWith('image/')) return true;
+  return Object.values(value).some(hasImage);
+}
+
+// The request parameter that asks for thinking or reasoning, if any
+function getThinkingParam(provider, body) {
+  if (provider === 'anthropic') return body.thinking?.type === 'enabled' && 'thinking';
+  if (provider === 'responses') return body.reasoning?.effort != null && 'reasoning.effort';
+  if (provider === 'gemini') {
+    const thinkingConfig = body.generationConfig?.thinkingConfig;
+    return Boolean(thinkingConfig && thinkingConfig.thinkingBudget !== 0) && 'generationConfig.thinkingConfig';
+  }
+  return body.reasoning_effort != null && 'reasoning_effort';
+}
+
+// `*` matches any run of characters and `?` a single one
+function globToRegExp(glob) {
+  const source = glob
+    .split('')
+    .map(char => {
+      if (char === '*') return '.*';
+      if (char === '?') return '.';
+      return char.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+    })
+    .join('');
+  return new RegExp(`^${source}$`, 'i');
+}
+
+export default {
+  compileProfiles,
+  matchProfile,
+  resolveModelLimits,
+  applyProfile,
+  exceedsContextWindow,
+  findUnsupportedCapability,
+};
@@ -1,35 +1,32 @@
 import { tokenize, getTokenDelay, getFirstTokenDelay, generateId, estimateTokens, sleep } from '../utils/streaming.js';
-import { getResponse, getToolCall, getPersona } from '../personas/index.js';
+import { sendChaosResponse, createStreamFault, applyStreamFault } from '../utils/chaos.js';
+import { resolveReply } from '../reply.js';
+import { random } from '../utils/random.js';
 
 /**
  * Handle Anthropic-compatible /v1/messages
  * Faithfully replicates the exact SSE event format with event: and data: lines
  */
-export async function handleMessages(req, res, body, config) {
+export async function handleMessages(req, res, body, config, meta = {}) {
   const model = body.model || 'claude-sonnet-4-20250514';
   const stream = body.stream ?? false;
-  const persona = resolvePersona(body, config);
-  const isToolCall = persona.name === 'tool_calls' || body.tools?.length > 0;
-
-  let content, toolCall;
-  if (isToolCall && persona.toolCalls) {
-    const tc = getToolCall(persona);
-    toolCall = tc.toolCall;
-    content = tc.response;
-  } else {
-    content = getResponse(persona);
+  const reply = resolveReply('anthropic', body, config, meta);
+  if (reply.error) {
+    return sendChaosResponse(res, reply.error, 'anthropic');
   }
 
   const messageId = generateId('msg');
   const inputTokens = estimateTokens(JSON.stringify(body.messages || []));
-  const outputTokens = estimateTokens(content);
+  const { stopReason, stopSequence, outputTokens } = reply;
+  const blocks = buildContentBlocks(reply);
 
   if (!stream) {
     return sendNonStreaming(res, {
       messageId,
       model,
-      content,
-      toolCall,
+      blocks,
+      stopReason,
+      stopSequence,
       inputTokens,
       outputTokens,
     });
@@ -38,42 +35,54 @@ export async function handleMessages(req, res, body, config) {
   return sendStreaming(res, config, {
     messageId,
     model,
-    content,
-    toolCall,
+    blocks,
+    stopReason,
+    stopSequence,
     inputTokens,
     outputTokens,
+    chaos: meta.chaos,
   });
 }
 
-function sendNonStreaming(res, { messageId, model, content, toolCall, inputTokens, outputTokens }) {
-  const contentBlocks = [];
+/**
+ * Content blocks in response order: thinking, redacted thinking, text, tool uses
+ */
+function buildContentBlocks({ content, toolCalls, thinking }) {
+  const blocks = [];
 
-  if (toolCall) {
-    contentBlocks.push({
-      type: 'text',
-      text: content,
-    });
-    contentBlocks.push({
+  if (thinking) {
+    blocks.push({ type: 'thinking', thinking: thinking.text, signature: makeOpaque(88) });
+    if (thinking.redacted) {
+      blocks.push({ type: 'redacted_thinking', data: makeOpaque(344) });
+    }
+  }
+
+  // Tool calls may come with or without leading text
+  if (!toolCalls.length || content) {
+    blocks.push({ type: 'text', text: content });
+  }
+
+  for (const toolCall of toolCalls) {
+    blocks.push({
       type: 'tool_use',
       id: generateId('toolu'),
       name: toolCall.name,
       input: toolCall.arguments,
     });
-  } else {
-    contentBlocks.push({
-      type: 'text',
-      text: content,
-    });
   }
 
+  return blocks;
+}
+
+function sendNonStreaming(res, { messageId, model, blocks, stopReason, stopSequence, inputTokens, outputTokens }) {
   const response = {
     id: messageId,
     type: 'message',
     role: 'assistant',
     model,
-    content: contentBlocks,
-    stop_reason: toolCall ? 'tool_use' : 'end_turn',
-    stop_sequence: null,
+    content: blocks,
+    stop_reason: stopReason,
+    stop_sequence: stopSequence,
     usage: {
       input_tokens: inputTokens,
       output_tokens: outputTokens,
@@ -84,7 +93,7 @@ function sendNonStreaming(res, { messageId, model, content, toolCall, inputToken
   res.end(JSON.stringify(response));
 }
 
-async function sendStreaming(res, config, { messageId, model, content, toolCall, inputTokens, outputTokens }) {
+async function sendStreaming(res, config, { messageId, model, blocks, stopReason, stopSequence, inputTokens, outputTokens, chaos }) {
   res.writeHead(200, {
     'Content-Type': 'text/event-stream',
     'Cache-Control': 'no-cache',
@@ -114,80 +123,36 @@ async function sendStreaming(res, config, { messageId, model, content, toolCall,
   // Wait for "thinking" time
   await sleep(getFirstTokenDelay(config));
 
-  if (toolCall) {
-    // Text block first
-    writeSSE(res, 'content_block_start', {
-      type: 'content_block_start',
-      index: 0,
-      content_block: { type: 'text', text: '' },
-    });
-
-    // Stream text tokens
-    const tokens = tokenize(content);
-    for (const token of tokens) {
-      await sleep(getTokenDelay(config));
-      if (res.destroyed) return;
-      writeSSE(res, 'content_block_delta', {
-        type: 'content_block_delta',
-        index: 0,
-        delta: { type: 'text_delta', text: token },
-      });
-    }
-
-    writeSSE(res, 'content_block_stop', {
-      type: 'content_block_stop',
-      index: 0,
-    });
-
-    // Tool use block
-    const toolUseId = generateId('toolu');
-    writeSSE(res, 'content_block_start', {
-      type: 'content_block_start',
-      index: 1,
-      content_block: { type: 'tool_use', id: toolUseId, name: toolCall.name, input: {} },
-    });
+  // Faults count deltas across all blocks, so they can land in any of them
+  const plan = blocks.map(blockEvents);
+  const totalDeltas = plan.reduce((sum, { deltas }) => sum + deltas.length, 0);
+  const fault = createStreamFault(chaos, config, totalDeltas);
+  let step = 0;
 
-    // Stream tool input as JSON chunks
-    const argsStr = JSON.stringify(toolCall.arguments);
-    const argChunks = chunkString(argsStr, 12);
-    for (const chunk of argChunks) {
-      await sleep(getTokenDelay(config));
-      if (res.destroyed) return;
-      writeSSE(res, 'content_block_delta', {
-        type: 'content_block_delta',
-        index: 1,
-        delta: { type: 'input_json_delta', partial_json: chunk },
-      });
-    }
+  for (let index = 0; index < plan.length; index++) {
+    const { start, deltas } = plan[index];
 
-    writeSSE(res, 'content_block_stop', {
-      type: 'content_block_stop',
-      index: 1,
-    });
-  } else {
-    // content_block_start
     writeSSE(res, 'content_block_start', {
       type: 'content_block_start',
-      index: 0,
-      content_block: { type: 'text', text: '' },
+      index,
+      content_block: start,
     });
 
-    // Stream tokens as content_block_delta events
-    const tokens = tokenize(content);
-    for (const token of tokens) {
+    for (const delta of deltas) {
+      if (fault && step === fault.at && await applyStreamFault(res, fault, 'anthropic')) return;
+      step++;
       await sleep(getTokenDelay(config));
       if (res.destroyed) return;
       writeSSE(res, 'content_block_delta', {
         type: 'content_block_delta',
-        index: 0,
-        delta: { type: 'text_delta', text: token },
+        index,
+        delta,
       });
     }
 
-    // content_block_stop
     writeSSE(res, 'content_block_stop', {
       type: 'content_block_stop',
-      index: 0,
+      index,
     });
   }
 
@@ -195,14 +160,17 @@ async function sendStreaming(res, config, { messageId, model, content, toolCall,
   writeSSE(res, 'message_delta', {
     type: 'message_delta',
     delta: {
-      stop_reason: toolCall ? 'tool_use' : 'end_turn',
-      stop_sequence: null,
+      stop_reason: stopReason,
+      stop_sequence: stopSequence,
     },
     usage: {
       output_tokens: outputTokens,
     },
   });
 
+  // Chaos: the stream closes without its message_stop event
+  if (chaos === 'truncate') return res.end();
+
   // message_stop
   writeSSE(res, 'message_stop', {
     type: 'message_stop',
@@ -211,13 +179,52 @@ async function sendStreaming(res, config, { messageId, model, content, toolCall,
   res.end();
 }
 
+/**
+ * The content_block_start payload and the deltas that fill it in
+ */
+function blockEvents(block) {
+  if (block.type === 'thinking') {
+    return {
+      start: { type: 'thinking', thinking: '' },
+      deltas: [
+        ...tokenize(block.thinking).map(token => ({ type: 'thinking_delta', thinking: token })),
+        { type: 'signature_delta', signature: block.signature },
+      ],
+    };
+  }
+
+  // Redacted thinking arrives whole in its start event
+  if (block.type === 'redacted_thinking') {
+    return { start: block, deltas: [] };
+  }
+
+  if (block.type === 'tool_use') {
+    // Stream tool input as JSON chunks
+    return {
+      start: { type: 'tool_use', id: block.id, name: block.name, input: {} },
+      deltas: chunkString(JSON.stringify(block.input), 12)
+        .map(chunk => ({ type: 'input_json_delta', partial_json: chunk })),
+    };
+  }
+
+  return {
+    start: { type: 'text', text: '' },
+    deltas: tokenize(block.text).map(token => ({ type: 'text_delta', text: token })),
+  };
+}
+
 function writeSSE(res, event, data) {
   res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
 }
 
-function resolvePersona(body, config) {
-  const hint = body._persona || config.defaults.persona;
-  return getPersona(hint);
+// Base64-looking filler for thinking signatures and redacted thinking data
+function makeOpaque(length) {
+  const chars = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789+/';
+  let out = '';
+  for (let i = 0; i < length; i++) {
+    out += chars[Math.floor(random() * chars.length)];
+  }
+  return out;
 }
 
 function chunkString(str, size) {
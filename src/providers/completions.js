@@ -0,0 +1,144 @@
+import { tokenize, getTokenDelay, getFirstTokenDelay, generateId, estimateTokens, sleep } from '../utils/streaming.js';
+import { sendChaosResponse, createStreamFault, applyStreamFault } from '../utils/chaos.js';
+import { resolveReply } from '../reply.js';
+import { sendErrorResponse } from '../utils/errors.js';
+import { validateChoiceCount } from '../validation.js';
+import { now } from '../utils/random.js';
+
+// Provider-neutral stop reasons from resolveReply → legacy finish_reason
+const FINISH_REASONS = {
+  end_turn: 'stop',
+  max_tokens: 'length',
+  stop_sequence: 'stop',
+};
+
+/**
+ * Handle OpenAI's legacy /v1/completions
+ * A prompt in, `text` out — with its own `text_completion` chunk format.
+ * An array prompt gets `n` choices per prompt, indexed in order.
+ */
+export async function handleCompletions(req, res, body, config, meta = {}) {
+  const model = body.model || 'gpt-3.5-turbo-instruct';
+  const stream = body.stream ?? false;
+  const prompts = Array.isArray(body.prompt) ? body.prompt : [body.prompt ?? ''];
+  const invalid = validateChoiceCount('completions', body);
+  if (invalid) return sendErrorResponse(res, 'completions', 400, invalid.message, invalid);
+  const n = body.n ?? 1;
+
+  const replies = prompts.flatMap(prompt =>
+    Array.from({ length: n }, () => resolveReply('completions', { ...body, prompt }, config, meta))
+  );
+  const failed = replies.find(reply => reply.error);
+  if (failed) {
+    return sendChaosResponse(res, failed.error, 'completions');
+  }
+
+  // echo prepends the prompt to each choice's text
+  const choices = replies.map((reply, index) => {
+    const prompt = prompts[Math.floor(index / n)];
+    return {
+      prefix: body.echo ? String(prompt) : '',
+      text: reply.content ?? '',
+      finishReason: FINISH_REASONS[reply.stopReason],
+    };
+  });
+
+  const completionId = generateId('cmpl');
+  const created = Math.floor(now() / 1000);
+  const promptTokens = prompts.reduce((sum, prompt) => sum + estimateTokens(String(prompt)), 0);
+  const completionTokens = replies.reduce((sum, reply) => sum + reply.outputTokens, 0);
+  const usage = {
+    prompt_tokens: promptTokens,
+    completion_tokens: completionTokens,
+    total_tokens: promptTokens + completionTokens,
+  };
+
+  if (!stream) {
+    const response = {
+      id: completionId,
+      object: 'text_completion',
+      created,
+      model,
+      choices: choices.map(({ prefix, text, finishReason }, index) => ({
+        text: prefix + text,
+        index,
+        logprobs: null,
+        finish_reason: finishReason,
+      })),
+      usage,
+    };
+
+    res.writeHead(200, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(response));
+    return;
+  }
+
+  return sendStreaming(res, config, {
+    completionId,
+    created,
+    model,
+    choices,
+    usage,
+    chaos: meta.chaos,
+  });
+}
+
+async function sendStreaming(res, config, { completionId, created, model, choices, usage, chaos }) {
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive',
+    'X-Request-Id': generateId('req'),
+  });
+
+  const writeChunk = (choiceList, extra = {}) => {
+    const chunk = {
+      id: completionId,
+      object: 'text_completion',
+      created,
+      model,
+      choices: choiceList,
+      ...extra,
+    };
+    res.write(`data: ${JSON.stringify(chunk)}\n\n`);
+  };
+  const choiceChunk = (index, text, finishReason = null, extra = {}) =>
+    writeChunk([{ text, index, logprobs: null, finish_reason: finishReason }], extra);
+
+  // Wait for "thinking" time
+  await sleep(getFirstTokenDelay(config));
+
+  // An echoed prompt arrives whole, before any generated text
+  choices.forEach(({ prefix }, index) => {
+    if (prefix) choiceChunk(index, prefix);
+  });
+
+  const tokens = choices.map(({ text }) => tokenize(text));
+  const steps = Math.max(...tokens.map(t => t.length));
+  const fault = createStreamFault(chaos, config, steps);
+
+  for (let step = 0; step < steps; step++) {
+    if (fault && step === fault.at && await applyStreamFault(res, fault, 'completions')) return;
+    await sleep(getTokenDelay(config));
+
+    if (res.destroyed) return; // Client disconnected
+
+    tokens.forEach((choiceTokens, index) => {
+      if (step < choiceTokens.length) choiceChunk(index, choiceTokens[step]);
+    });
+  }
+
+  // Final chunk per choice with finish_reason; usage rides on the last one
+  choices.forEach(({ finishReason }, index) => {
+    const isLast = index === choices.length - 1;
+    choiceChunk(index, '', finishReason, isLast ? { usage } : {});
+  });
+
+  // Chaos: the stream closes without its [DONE] sentinel
+  if (chaos === 'truncate') return res.end();
+
+  res.write('data: [DONE]\n\n');
+  res.end();
+}
+
+export default { handleCompletions };
@@ -0,0 +1,55 @@
+import { estimateTokens } from '../utils/streaming.js';
+import { embed, toBase64, maxDimensions, checkDimensions } from '../utils/embeddings.js';
+import { sendErrorResponse } from '../utils/errors.js';
+
+/**
+ * Handle OpenAI-compatible /v1/embeddings
+ * Vectors are hashed from the input, so they are stable across runs and
+ * similar inputs produce similar vectors. A `dimensions` the model can't
+ * return is refused in every validation mode.
+ */
+export async function handleEmbeddings(req, res, body, config) {
+  const model = body.model || 'text-embedding-3-small';
+  const inputs = Array.isArray(body.input) ? body.input : [body.input ?? ''];
+  const max = maxDimensions(model, config.embeddings.dimensions);
+  const invalid = checkDimensions(body.dimensions, max);
+  if (invalid) return sendDimensionsError(res, body.dimensions, invalid, max);
+  const dimensions = body.dimensions ?? max;
+  const base64 = body.encoding_format === 'base64';
+
+  const data = inputs.map((input, index) => {
+    const vector = embed(input, dimensions);
+    return {
+      object: 'embedding',
+      index,
+      embedding: base64 ? toBase64(vector) : vector,
+    };
+  });
+
+  const promptTokens = inputs.reduce((sum, input) => sum + estimateTokens(String(input)), 0);
+
+  const response = {
+    object: 'list',
+    data,
+    model,
+    usage: {
+      prompt_tokens: promptTokens,
+      total_tokens: promptTokens,
+    },
+  };
+
+  res.writeHead(200, { 'Content-Type': 'application/json' });
+  res.end(JSON.stringify(response));
+}
+
+function sendDimensionsError(res, value, invalid, max) {
+  const errors = {
+    type: ["Invalid type for 'dimensions': expected an integer, but got a decimal number instead.", 'invalid_type'],
+    minimum: [`Invalid 'dimensions': integer below minimum value. Expected a value >= 1, but got ${value} instead.`, 'integer_below_min_value'],
+    maximum: [`Invalid 'dimensions': integer above maximum value. Expected a value <= ${max}, but got ${value} instead.`, 'integer_above_max_value'],
+  };
+  const [message, code] = errors[invalid];
+  sendErrorResponse(res, 'embeddings', 400, message, { param: 'dimensions', code });
+}
+
+export default { handleEmbeddings };
@@ -1,5 +1,17 @@
 import { tokenize, getTokenDelay, getFirstTokenDelay, generateId, estimateTokens, sleep } from '../utils/streaming.js';
-import { getResponse, getToolCall, getPersona } from '../personas/index.js';
+import { sendChaosResponse, createStreamFault, applyStreamFault } from '../utils/chaos.js';
+import { resolveReply } from '../reply.js';
+import { validateChoiceCount } from '../validation.js';
+import { embed, maxDimensions, checkDimensions } from '../utils/embeddings.js';
+import { sendErrorResponse } from '../utils/errors.js';
+
+// Provider-neutral stop reasons from resolveReply → Gemini finishReason
+const FINISH_REASONS = {
+  end_turn: 'STOP',
+  max_tokens: 'MAX_TOKENS',
+  stop_sequence: 'STOP',
+  tool_use: 'TOOL_CALLS',
+};
 
 /**
  * Handle Google Gemini-compatible endpoints:
@@ -8,55 +20,46 @@ import { getResponse, getToolCall, getPersona } from '../personas/index.js';
  *
  * Faithfully replicates the Gemini API response shapes.
  */
-export async function handleGenerateContent(req, res, body, config, { model, stream }) {
-  const persona = resolvePersona(body, config);
-  const isToolCall = persona.name === 'tool_calls' || body.tools?.length > 0;
-
-  let content, toolCall;
-  if (isToolCall && persona.toolCalls) {
-    const tc = getToolCall(persona);
-    toolCall = tc.toolCall;
-    content = tc.response;
-  } else {
-    content = getResponse(persona);
+export async function handleGenerateContent(req, res, body, config, meta) {
+  const { model, stream, chaos } = meta;
+
+  // candidateCount asks for several independent candidates
+  const invalid = validateChoiceCount('gemini', body);
+  if (invalid) return sendErrorResponse(res, 'gemini', 400, invalid.message);
+  const count = body.generationConfig?.candidateCount ?? 1;
+  const replies = Array.from({ length: count }, () => resolveReply('gemini', body, config, meta));
+  const failed = replies.find(reply => reply.error);
+  if (failed) {
+    return sendChaosResponse(res, failed.error, 'gemini');
   }
 
+  const candidates = replies.map(reply => ({
+    content: reply.content,
+    toolCalls: reply.toolCalls,
+    finishReason: FINISH_REASONS[reply.stopReason],
+  }));
+
   const promptTokens = estimateTokens(JSON.stringify(body.contents || []));
-  const completionTokens = estimateTokens(content);
+  const completionTokens = replies.reduce((sum, reply) => sum + reply.outputTokens, 0);
 
   if (!stream) {
-    return sendNonStreaming(res, { model, content, toolCall, promptTokens, completionTokens });
+    return sendNonStreaming(res, { model, candidates, promptTokens, completionTokens });
   }
 
-  return sendStreaming(res, config, { model, content, toolCall, promptTokens, completionTokens });
+  return sendStreaming(res, config, { model, candidates, promptTokens, completionTokens, chaos });
 }
 
-function sendNonStreaming(res, { model, content, toolCall, promptTokens, completionTokens }) {
-  const parts = [];
-
-  if (toolCall) {
-    parts.push({
-      functionCall: {
-        name: toolCall.name,
-        args: toolCall.arguments,
-      },
-    });
-  } else {
-    parts.push({ text: content });
-  }
-
+function sendNonStreaming(res, { model, candidates, promptTokens, completionTokens }) {
   const response = {
-    candidates: [
-      {
-        content: {
-          parts,
-          role: 'model',
-        },
-        finishReason: toolCall ? 'TOOL_CALLS' : 'STOP',
-        index: 0,
-        safetyRatings: makeSafetyRatings(),
+    candidates: candidates.map(({ content, toolCalls, finishReason }, index) => ({
+      content: {
+        parts: toolCalls.length ? toFunctionCallParts(toolCalls) : [{ text: content }],
+        role: 'model',
       },
-    ],
+      finishReason,
+      index,
+      safetyRatings: makeSafetyRatings(),
+    })),
     usageMetadata: {
       promptTokenCount: promptTokens,
       candidatesTokenCount: completionTokens,
@@ -69,7 +72,7 @@ function sendNonStreaming(res, { model, content, toolCall, promptTokens, complet
   res.end(JSON.stringify(response));
 }
 
-async function sendStreaming(res, config, { model, content, toolCall, promptTokens, completionTokens }) {
+async function sendStreaming(res, config, { model, candidates, promptTokens, completionTokens, chaos }) {
   res.writeHead(200, {
     'Content-Type': 'text/event-stream',
     'Cache-Control': 'no-cache',
@@ -79,80 +82,104 @@ async function sendStreaming(res, config, { model, content, toolCall, promptToke
   // Wait for "thinking" time
   await sleep(getFirstTokenDelay(config));
 
-  if (toolCall) {
-    // Tool calls come as a single chunk in Gemini
+  // Each candidate becomes a list of chunk parts; every chunk carries the
+  // candidates that still have something to say at that step
+  const parts = candidates.map(candidateParts);
+  const steps = Math.max(...parts.map(p => p.length));
+  const fault = createStreamFault(chaos, config, steps);
+
+  for (let step = 0; step < steps; step++) {
+    if (fault && step === fault.at && await applyStreamFault(res, fault, 'gemini')) return;
+    await sleep(getTokenDelay(config));
+    if (res.destroyed) return;
+
+    // Chaos: truncated streams never deliver the finishReason chunk
+    const finishing = chaos !== 'truncate';
+    const isLastStep = finishing && step === steps - 1;
+
     const chunk = {
-      candidates: [
-        {
+      candidates: candidates.flatMap(({ finishReason }, index) => {
+        if (step >= parts[index].length) return [];
+        const isLast = finishing && step === parts[index].length - 1;
+        return [{
           content: {
-            parts: [
-              {
-                functionCall: {
-                  name: toolCall.name,
-                  args: toolCall.arguments,
-                },
-              },
-            ],
+            parts: parts[index][step],
             role: 'model',
           },
-          finishReason: 'TOOL_CALLS',
-          index: 0,
-          safetyRatings: makeSafetyRatings(),
-        },
-      ],
-      usageMetadata: {
-        promptTokenCount: promptTokens,
-        candidatesTokenCount: completionTokens,
-        totalTokenCount: promptTokens + completionTokens,
-      },
+          ...(isLast
+            ? { finishReason, safetyRatings: makeSafetyRatings() }
+            : {}),
+          index,
+        }];
+      }),
+      ...(isLastStep
+        ? {
+            usageMetadata: {
+              promptTokenCount: promptTokens,
+              candidatesTokenCount: completionTokens,
+              totalTokenCount: promptTokens + completionTokens,
+            },
+          }
+        : {}),
       modelVersion: model,
     };
+
     res.write(`data: ${JSON.stringify(chunk)}\n\n`);
-  } else {
-    // Stream content token-by-token — Gemini sends incremental text parts
-    const tokens = tokenize(content);
-
-    for (let i = 0; i < tokens.length; i++) {
-      await sleep(getTokenDelay(config));
-      if (res.destroyed) return;
-
-      const isLast = i === tokens.length - 1;
-
-      const chunk = {
-        candidates: [
-          {
-            content: {
-              parts: [{ text: tokens[i] }],
-              role: 'model',
-            },
-            ...(isLast
-              ? { finishReason: 'STOP', safetyRatings: makeSafetyRatings() }
-              : {}),
-            index: 0,
-          },
-        ],
-        ...(isLast
-          ? {
-              usageMetadata: {
-                promptTokenCount: promptTokens,
-                candidatesTokenCount: completionTokens,
-                totalTokenCount: promptTokens + completionTokens,
-              },
-            }
-          : {}),
-        modelVersion: model,
-      };
-
-      res.write(`data: ${JSON.stringify(chunk)}\n\n`);
-    }
   }
 
   res.end();
 }
 
-function resolvePersona(body, config) {
-  const hint = body._persona || config.defaults.persona;
-  return getPersona(hint);
+// The parts of each streamed chunk. Text streams token by token — Gemini sends
+// incremental text parts — while tool calls arrive whole, all functionCall
+// parts in a single chunk
+function candidateParts({ content, toolCalls }) {
+  if (toolCalls.length) {
+    return [toFunctionCallParts(toolCalls)];
+  }
+  // An empty reply (e.g. a stop sequence at the very start) still gets its final chunk
+  const tokens = content ? tokenize(content) : [''];
+  return tokens.map(text => [{ text }]);
+}
+
+function toFunctionCallParts(toolCalls) {
+  return toolCalls.map(toolCall => ({ functionCall: { name: toolCall.name, args: toolCall.arguments } }));
+}
+
+/**
+ * Handle Gemini embeddings:
+ *   POST /v1beta/models/:model:embedContent        ({ content } → { embedding })
+ *   POST /v1beta/models/:model:batchEmbedContents  ({ requests } → { embeddings })
+ *
+ * Vectors come from the same deterministic hashing as /v1/embeddings. An
+ * `outputDimensionality` the model can't return is refused in every mode.
+ */
+export async function handleEmbedContent(req, res, body, config, meta) {
+  const requests = meta.method === 'batchEmbedContents' ? body.requests || [] : [body];
+  const max = maxDimensions(meta.model, config.embeddings.dimensions);
+  const invalid = requests.find(request => checkDimensions(request?.outputDimensionality, max));
+  if (invalid) {
+    return sendErrorResponse(
+      res,
+      'gemini',
+      400,
+      `Invalid value at 'output_dimensionality' (${invalid.outputDimensionality}): must be an integer between 1 and ${max}.`
+    );
+  }
+
+  const toEmbedding = request => ({
+    values: embed(
+      (request.content?.parts || []).map(part => part.text || '').join('\n'),
+      request.outputDimensionality ?? max
+    ),
+  });
+
+  const response = meta.method === 'batchEmbedContents'
+    ? { embeddings: (body.requests || []).map(toEmbedding) }
+    : { embedding: toEmbedding(body) };
+
+  res.writeHead(200, { 'Content-Type': 'application/json' });
+  res.end(JSON.stringify(response));
 }
 
 function makeSafetyRatings() {
@@ -164,4 +191,4 @@ function makeSafetyRatings() {
   ];
 }
 
-export default { handleGenerateContent };
+export default { handleGenerateContent, handleEmbedContent };
@@ -0,0 +1,142 @@
+// Model catalog endpoints, in each provider's list and retrieve shapes
+
+// Catalog entries don't need a creation date; a fixed one keeps output stable
+const DEFAULT_CREATED = 1715367049;
+
+/**
+ * Handle the model listing endpoints:
+ *   GET /v1/models, /v1/models/:id          (OpenAI, or Anthropic when the
+ *                                            request carries anthropic-version
+ *                                            or x-api-key)
+ *   GET /v1beta/models, /v1beta/models/:id  (Gemini)
+ *
+ * `id` is null for the list. Unknown ids get the provider's 404.
+ */
+export function handleModels(req, res, config, { provider, id, url }) {
+  const models = (config.models || []).filter(model => model.provider === provider);
+
+  if (id) {
+    const model = models.find(m => m.id === id);
+    if (!model) return sendNotFound(res, provider, id);
+    return sendJSON(res, 200, FORMATS[provider](model));
+  }
+
+  if (provider === 'anthropic') return sendJSON(res, 200, anthropicPage(models, url.searchParams));
+  if (provider === 'gemini') return sendJSON(res, 200, geminiPage(models, url.searchParams));
+
+  sendJSON(res, 200, { object: 'list', data: models.map(toOpenAI) });
+}
+
+const FORMATS = {
+  openai: toOpenAI,
+  anthropic: toAnthropic,
+  gemini: toGemini,
+};
+
+function toOpenAI(model) {
+  return {
+    id: model.id,
+    object: 'model',
+    created: model.created ?? DEFAULT_CREATED,
+    owned_by: model.ownedBy ?? 'system',
+  };
+}
+
+function toAnthropic(model) {
+  return {
+    type: 'model',
+    id: model.id,
+    display_name: model.displayName ?? model.id,
+    created_at: new Date((model.created ?? DEFAULT_CREATED) * 1000).toISOString(),
+  };
+}
+
+function toGemini(model) {
+  const capabilities = model.capabilities || {};
+  return {
+    name: `models/${model.id}`,
+    version: model.version ?? '001',
+    displayName: model.displayName ?? model.id,
+    description: model.description ?? '',
+    inputTokenLimit: model.contextWindow,
+    outputTokenLimit: model.maxOutputTokens,
+    supportedGenerationMethods: capabilities.embeddings
+      ? ['embedContent', 'batchEmbedContents']
+      : ['generateContent', 'countTokens'],
+    ...(capabilities.embeddings ? {} : { temperature: 1, topP: 0.95, topK: 64, maxTemperature: 2 }),
+    ...(capabilities.thinking ? { thinking: true } : {}),
+  };
+}
+
+// Anthropic pages with limit and before_id / after_id cursors
+function anthropicPage(models, params) {
+  const limit = Number(params.get('limit')) || 20;
+  let start = 0;
+  let end = models.length;
+
+  const afterId = params.get('after_id');
+  const beforeId = params.get('before_id');
+  if (afterId) start = models.findIndex(m => m.id === afterId) + 1;
+  if (beforeId) end = Math.max(0, models.findIndex(m => m.id === beforeId));
+
+  const page = beforeId
+    ? models.slice(Math.max(start, end - limit), end)
+    : models.slice(start, Math.min(end, start + limit));
+  const data = page.map(toAnthropic);
+
+  return {
+    data,
+    has_more: beforeId ? end - limit > start : start + limit < end,
+    first_id: data[0]?.id ?? null,
+    last_id: data.at(-1)?.id ?? null,
+  };
+}
+
+// Gemini pages with pageSize; the token is the id of the next model
+function geminiPage(models, params) {
+  const pageSize = Number(params.get('pageSize')) || 50;
+  const token = params.get('pageToken');
+  const start = token ? Math.max(0, models.findIndex(m => m.id === token)) : 0;
+  const page = models.slice(start, start + pageSize);
+  const next = models[start + pageSize];
+
+  return {
+    models: page.map(toGemini),
+    ...(next ? { nextPageToken: next.id } : {}),
+  };
+}
+
+function sendNotFound(res, provider, id) {
+  if (provider === 'anthropic') {
+    return sendJSON(res, 404, {
+      type: 'error',
+      error: { type: 'not_found_error', message: `model: ${id}` },
+    });
+  }
+
+  if (provider === 'gemini') {
+    return sendJSON(res, 404, {
+      error: {
+        code: 404,
+        message: `models/${id} is not found for API version v1beta, or is not supported for generateContent. Call ListModels to see the list of available models and their supported methods.`,
+        status: 'NOT_FOUND',
+      },
+    });
+  }
+
+  sendJSON(res, 404, {
+    error: {
+      message: `The model '${id}' does not exist`,
+      type: 'invalid_request_error',
+      param: 'model',
+      code: 'model_not_found',
+    },
+  });
+}
+
+function sendJSON(res, status, body) {
+  res.writeHead(status, { 'Content-Type': 'application/json' });
+  res.end(JSON.stringify(body));
+}
+
+export default { handleModels };
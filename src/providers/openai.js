@@ -1,40 +1,60 @@
 import { tokenize, getTokenDelay, getFirstTokenDelay, generateId, estimateTokens, sleep } from '../utils/streaming.js';
-import { getResponse, getToolCall, getPersona } from '../personas/index.js';
+import { sendChaosResponse, createStreamFault, applyStreamFault } from '../utils/chaos.js';
+import { resolveReply } from '../reply.js';
+import { sendErrorResponse } from '../utils/errors.js';
+import { validateChoiceCount } from '../validation.js';
+import { now } from '../utils/random.js';
+
+// Provider-neutral stop reasons from resolveReply → OpenAI finish_reason
+const FINISH_REASONS = {
+  end_turn: 'stop',
+  max_tokens: 'length',
+  stop_sequence: 'stop',
+  tool_use: 'tool_calls',
+};
 
 /**
  * Handle OpenAI-compatible /v1/chat/completions
  * Faithfully replicates the exact SSE chunk format
  */
-export async function handleChatCompletions(req, res, body, config) {
+export async function handleChatCompletions(req, res, body, config, meta = {}) {
   const model = body.model || 'gpt-4';
   const stream = body.stream ?? false;
-  const persona = resolvePersona(body, config);
-  const isToolCall = persona.name === 'tool_calls' || body.tools?.length > 0;
-
-  // Resolve response content
-  let content, toolCall;
-  if (isToolCall && persona.toolCalls) {
-    const tc = getToolCall(persona);
-    toolCall = tc.toolCall;
-    content = tc.response;
-  } else {
-    content = getResponse(persona);
+
+  // `n` asks for several independent completions, one choice each
+  const invalid = validateChoiceCount('openai', body);
+  if (invalid) return sendErrorResponse(res, 'openai', 400, invalid.message, invalid);
+  const n = body.n ?? 1;
+  const replies = Array.from({ length: n }, () => resolveReply('openai', body, config, meta));
+  const failed = replies.find(reply => reply.error);
+  if (failed) {
+    return sendChaosResponse(res, failed.error, 'openai');
   }
 
+  const choices = replies.map(reply => ({
+    content: reply.content,
+    toolCalls: reply.toolCalls,
+    finishReason: FINISH_REASONS[reply.stopReason],
+  }));
+
   const completionId = generateId('chatcmpl');
-  const created = Math.floor(Date.now() / 1000);
+  const created = Math.floor(now() / 1000);
   const promptTokens = estimateTokens(JSON.stringify(body.messages || []));
-  const completionTokens = estimateTokens(content);
+  const completionTokens = replies.reduce((sum, reply) => sum + reply.outputTokens, 0);
+  const reasoningTokens = replies.reduce((sum, reply) => sum + reply.reasoningTokens, 0);
+  const usage = buildUsage(promptTokens, completionTokens, reasoningTokens);
+
+  // Reasoning models think before the first token; choices reason in parallel
+  const reasoningDelay = Math.max(...replies.map(reply => reply.reasoningTokens)) * config.reasoning.perToken;
 
   if (!stream) {
+    await sleep(reasoningDelay);
     return sendNonStreaming(res, {
       completionId,
       created,
       model,
-      content,
-      toolCall,
-      promptTokens,
-      completionTokens,
+      choices,
+      usage,
     });
   }
 
@@ -42,58 +62,60 @@ export async function handleChatCompletions(req, res, body, config) {
     completionId,
     created,
     model,
-    content,
-    toolCall,
-    promptTokens,
-    completionTokens,
+    choices,
+    usage,
+    reasoningDelay,
+    chaos: meta.chaos,
   });
 }
 
-function sendNonStreaming(res, { completionId, created, model, content, toolCall, promptTokens, completionTokens }) {
-  const message = toolCall
-    ? {
-        role: 'assistant',
-        content: null,
-        tool_calls: [
-          {
-            id: generateId('call'),
-            type: 'function',
-            function: {
-              name: toolCall.name,
-              arguments: JSON.stringify(toolCall.arguments),
-            },
-          },
-        ],
-      }
-    : {
-        role: 'assistant',
-        content,
-      };
+function buildUsage(promptTokens, completionTokens, reasoningTokens) {
+  const usage = {
+    prompt_tokens: promptTokens,
+    completion_tokens: completionTokens,
+    total_tokens: promptTokens + completionTokens,
+  };
+  if (reasoningTokens) {
+    usage.completion_tokens_details = { reasoning_tokens: reasoningTokens };
+  }
+  return usage;
+}
 
+function sendNonStreaming(res, { completionId, created, model, choices, usage }) {
   const response = {
     id: completionId,
     object: 'chat.completion',
     created,
     model,
-    choices: [
-      {
-        index: 0,
-        message,
-        finish_reason: toolCall ? 'tool_calls' : 'stop',
-      },
-    ],
-    usage: {
-      prompt_tokens: promptTokens,
-      completion_tokens: completionTokens,
-      total_tokens: promptTokens + completionTokens,
-    },
+    choices: choices.map(({ content, toolCalls, finishReason }, index) => ({
+      index,
+      message: toolCalls.length
+        ? {
+            role: 'assistant',
+            content: null,
+            tool_calls: toolCalls.map(toolCall => ({
+              id: generateId('call'),
+              type: 'function',
+              function: {
+                name: toolCall.name,
+                arguments: JSON.stringify(toolCall.arguments),
+              },
+            })),
+          }
+        : {
+            role: 'assistant',
+            content,
+          },
+      finish_reason: finishReason,
+    })),
+    usage,
   };
 
   res.writeHead(200, { 'Content-Type': 'application/json' });
   res.end(JSON.stringify(response));
 }
 
-async function sendStreaming(res, config, { completionId, created, model, content, toolCall, promptTokens, completionTokens }) {
+async function sendStreaming(res, config, { completionId, created, model, choices, usage, reasoningDelay, chaos }) {
   res.writeHead(200, {
     'Content-Type': 'text/event-stream',
     'Cache-Control': 'no-cache',
@@ -101,139 +123,77 @@ async function sendStreaming(res, config, { completionId, created, model, conten
     'X-Request-Id': generateId('req'),
   });
 
-  // First chunk: role
-  const roleChunk = {
-    id: completionId,
-    object: 'chat.completion.chunk',
-    created,
-    model,
-    choices: [
-      {
-        index: 0,
-        delta: { role: 'assistant', content: '' },
-        finish_reason: null,
-      },
-    ],
-  };
-  res.write(`data: ${JSON.stringify(roleChunk)}\n\n`);
-
-  // Wait for "thinking" time
-  await sleep(getFirstTokenDelay(config));
-
-  if (toolCall) {
-    // Stream tool call
-    const callId = generateId('call');
-    const argsStr = JSON.stringify(toolCall.arguments);
-
-    // Tool call header chunk
-    const toolChunk = {
+  const writeChunk = (index, delta, finishReason = null, extra = {}) => {
+    const chunk = {
       id: completionId,
       object: 'chat.completion.chunk',
       created,
       model,
-      choices: [
-        {
-          index: 0,
-          delta: {
-            tool_calls: [
-              {
-                index: 0,
-                id: callId,
-                type: 'function',
-                function: { name: toolCall.name, arguments: '' },
-              },
-            ],
-          },
-          finish_reason: null,
-        },
-      ],
+      choices: [{ index, delta, finish_reason: finishReason }],
+      ...extra,
     };
-    res.write(`data: ${JSON.stringify(toolChunk)}\n\n`);
-
-    // Stream arguments in chunks
-    const argChunks = chunkString(argsStr, 8);
-    for (const chunk of argChunks) {
-      await sleep(getTokenDelay(config));
-      const argChunk = {
-        id: completionId,
-        object: 'chat.completion.chunk',
-        created,
-        model,
-        choices: [
-          {
-            index: 0,
-            delta: {
-              tool_calls: [
-                {
-                  index: 0,
-                  function: { arguments: chunk },
-                },
-              ],
-            },
-            finish_reason: null,
-          },
-        ],
-      };
-      res.write(`data: ${JSON.stringify(argChunk)}\n\n`);
-    }
+    res.write(`data: ${JSON.stringify(chunk)}\n\n`);
+  };
 
-    // Final chunk
-    const doneChunk = {
-      id: completionId,
-      object: 'chat.completion.chunk',
-      created,
-      model,
-      choices: [{ index: 0, delta: {}, finish_reason: 'tool_calls' }],
-    };
-    res.write(`data: ${JSON.stringify(doneChunk)}\n\n`);
-  } else {
-    // Stream content tokens
-    const tokens = tokenize(content);
-    for (const token of tokens) {
-      await sleep(getTokenDelay(config));
-
-      if (res.destroyed) return; // Client disconnected (stop button)
-
-      const chunk = {
-        id: completionId,
-        object: 'chat.completion.chunk',
-        created,
-        model,
-        choices: [
-          {
-            index: 0,
-            delta: { content: token },
-            finish_reason: null,
-          },
-        ],
-      };
-      res.write(`data: ${JSON.stringify(chunk)}\n\n`);
-    }
+  // First chunk per choice: role
+  choices.forEach((_, index) => writeChunk(index, { role: 'assistant', content: '' }));
 
-    // Final chunk with finish_reason
-    const finalChunk = {
-      id: completionId,
-      object: 'chat.completion.chunk',
-      created,
-      model,
-      choices: [{ index: 0, delta: {}, finish_reason: 'stop' }],
-      usage: {
-        prompt_tokens: promptTokens,
-        completion_tokens: completionTokens,
-        total_tokens: promptTokens + completionTokens,
-      },
-    };
-    res.write(`data: ${JSON.stringify(finalChunk)}\n\n`);
+  // Wait for "thinking" time, plus hidden reasoning for reasoning models
+  await sleep(getFirstTokenDelay(config) + reasoningDelay);
+
+  // Each choice becomes a list of deltas; choices interleave by index at every step
+  const deltas = choices.map(choiceDeltas);
+  const steps = Math.max(...deltas.map(d => d.length));
+  const fault = createStreamFault(chaos, config, steps);
+
+  for (let step = 0; step < steps; step++) {
+    if (fault && step === fault.at && await applyStreamFault(res, fault, 'openai')) return;
+    await sleep(getTokenDelay(config));
+
+    if (res.destroyed) return; // Client disconnected (stop button)
+
+    deltas.forEach((choiceDelta, index) => {
+      if (step < choiceDelta.length) writeChunk(index, choiceDelta[step]);
+    });
   }
 
+  // Final chunk per choice with finish_reason; usage rides on the last one
+  choices.forEach(({ finishReason }, index) => {
+    const isLast = index === choices.length - 1;
+    writeChunk(index, {}, finishReason, isLast ? { usage } : {});
+  });
+
+  // Chaos: the stream closes without its [DONE] sentinel
+  if (chaos === 'truncate') return res.end();
+
   res.write('data: [DONE]\n\n');
   res.end();
 }
 
-function resolvePersona(body, config) {
-  // Check for x-nullmodel-persona header-style hint in the body
-  const hint = body._persona || config.defaults.persona;
-  return getPersona(hint);
+// Content streams token by token; each tool call streams a header, then its
+// arguments in pieces, one call after another under its own index
+function choiceDeltas({ content, toolCalls }) {
+  if (!toolCalls.length) {
+    return tokenize(content).map(token => ({ content: token }));
+  }
+
+  return toolCalls.flatMap((toolCall, index) => {
+    const header = {
+      tool_calls: [
+        {
+          index,
+          id: generateId('call'),
+          type: 'function',
+          function: { name: toolCall.name, arguments: '' },
+        },
+      ],
+    };
+    const argChunks = chunkString(JSON.stringify(toolCall.arguments), 8).map(chunk => ({
+      tool_calls: [{ index, function: { arguments: chunk } }],
+    }));
+
+    return [header, ...argChunks];
+  });
 }
 
 function chunkString(str, size) {
@@ -0,0 +1,242 @@
+import { tokenize, getTokenDelay, getFirstTokenDelay, generateId, estimateTokens, sleep } from '../utils/streaming.js';
+import { sendChaosResponse, createStreamFault, applyStreamFault } from '../utils/chaos.js';
+import { resolveReply } from '../reply.js';
+import { now } from '../utils/random.js';
+
+// Stored responses per session; the least recently used go first
+const MAX_STORED_RESPONSES = 1000;
+
+/**
+ * Handle OpenAI Responses API-compatible /v1/responses
+ * Replicates the `output` item format and the typed streaming events.
+ *
+ * Responses are kept in meta.responseStore so later requests can continue
+ * the conversation with previous_response_id, up to MAX_STORED_RESPONSES.
+ */
+export async function handleResponses(req, res, body, config, meta = {}) {
+  const model = body.model || 'gpt-4.1';
+  const stream = body.stream ?? false;
+  const store = meta.responseStore;
+
+  // previous_response_id prepends the earlier turns to this request's input
+  let history = [];
+  if (body.previous_response_id) {
+    const previous = store?.get(body.previous_response_id);
+    if (!previous) {
+      return sendError(res, 400, {
+        message: `Previous response with id '${body.previous_response_id}' not found.`,
+        type: 'invalid_request_error',
+        param: 'previous_response_id',
+        code: 'previous_response_not_found',
+      });
+    }
+    history = previous.history;
+    // Continuing a conversation keeps it from being evicted
+    store.delete(body.previous_response_id);
+    store.set(body.previous_response_id, previous);
+  }
+
+  const input = [...history, ...normalizeInput(body.input)];
+  const reply = resolveReply('responses', { ...body, input }, config, meta);
+  if (reply.error) {
+    return sendChaosResponse(res, reply.error, 'responses');
+  }
+
+  const output = buildOutput(reply);
+  const response = {
+    id: generateId('resp'),
+    object: 'response',
+    created_at: Math.floor(now() / 1000),
+    status: reply.stopReason === 'max_tokens' ? 'incomplete' : 'completed',
+    error: null,
+    incomplete_details: reply.stopReason === 'max_tokens' ? { reason: 'max_output_tokens' } : null,
+    instructions: body.instructions ?? null,
+    max_output_tokens: body.max_output_tokens ?? null,
+    model,
+    output,
+    parallel_tool_calls: body.parallel_tool_calls ?? true,
+    previous_response_id: body.previous_response_id ?? null,
+    reasoning: { effort: body.reasoning?.effort ?? null, summary: null },
+    store: body.store ?? true,
+    temperature: body.temperature ?? 1,
+    tool_choice: body.tool_choice ?? 'auto',
+    tools: body.tools || [],
+    top_p: body.top_p ?? 1,
+    truncation: 'disabled',
+    usage: buildUsage(estimateTokens(JSON.stringify(input)), reply),
+    metadata: body.metadata || {},
+  };
+
+  if (response.store && store) {
+    store.set(response.id, { history: [...input, ...output] });
+    if (store.size > MAX_STORED_RESPONSES) store.delete(store.keys().next().value);
+  }
+
+  const reasoningDelay = reply.reasoningTokens * config.reasoning.perToken;
+
+  if (!stream) {
+    await sleep(reasoningDelay);
+    res.writeHead(200, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(response));
+    return;
+  }
+
+  return sendStreaming(res, config, { response, reasoningDelay, chaos: meta.chaos });
+}
+
+// A bare string is shorthand for a single user message
+function normalizeInput(input) {
+  if (!input) return [];
+  if (typeof input === 'string') return [{ role: 'user', content: input }];
+  return Array.isArray(input) ? input.filter(item => item && typeof item === 'object') : [];
+}
+
+/**
+ * Output items: a reasoning item for reasoning models, then either the
+ * assistant message or the function calls
+ */
+function buildOutput({ content, toolCalls, reasoningTokens }) {
+  const output = [];
+
+  if (reasoningTokens) {
+    output.push({ id: generateId('rs'), type: 'reasoning', summary: [] });
+  }
+
+  if (toolCalls.length) {
+    for (const toolCall of toolCalls) {
+      output.push({
+        id: generateId('fc'),
+        type: 'function_call',
+        status: 'completed',
+        arguments: JSON.stringify(toolCall.arguments),
+        call_id: generateId('call'),
+        name: toolCall.name,
+      });
+    }
+  } else {
+    output.push({
+      id: generateId('msg'),
+      type: 'message',
+      status: 'completed',
+      role: 'assistant',
+      content: [{ type: 'output_text', text: content, annotations: [] }],
+    });
+  }
+
+  return output;
+}
+
+function buildUsage(inputTokens, { outputTokens, reasoningTokens }) {
+  return {
+    input_tokens: inputTokens,
+    input_tokens_details: { cached_tokens: 0 },
+    output_tokens: outputTokens,
+    output_tokens_details: { reasoning_tokens: reasoningTokens },
+    total_tokens: inputTokens + outputTokens,
+  };
+}
+
+async function sendStreaming(res, config, { response, reasoningDelay, chaos }) {
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive',
+    'X-Request-Id': generateId('req'),
+  });
+
+  let sequence = 0;
+  const emit = (type, data) => {
+    const event = { type, sequence_number: sequence++, ...data };
+    res.write(`event: ${type}\ndata: ${JSON.stringify(event)}\n\n`);
+  };
+
+  const pending = { ...response, status: 'in_progress', incomplete_details: null, output: [], usage: null };
+  emit('response.created', { response: pending });
+  emit('response.in_progress', { response: pending });
+
+  // Wait for "thinking" time, plus hidden reasoning for reasoning models
+  await sleep(getFirstTokenDelay(config) + reasoningDelay);
+
+  // Faults count deltas across all output items
+  const plan = response.output.map(itemEvents);
+  const totalDeltas = plan.reduce((sum, { deltas }) => sum + deltas.length, 0);
+  const fault = createStreamFault(chaos, config, totalDeltas);
+  let step = 0;
+
+  for (let outputIndex = 0; outputIndex < plan.length; outputIndex++) {
+    const { item, added, deltaEvent, deltas, finish } = plan[outputIndex];
+    const at = { item_id: item.id, output_index: outputIndex };
+
+    emit('response.output_item.added', { output_index: outputIndex, item: added });
+    if (item.type === 'message') {
+      emit('response.content_part.added', { ...at, content_index: 0, part: { type: 'output_text', text: '', annotations: [] } });
+    }
+
+    for (const delta of deltas) {
+      if (fault && step === fault.at && await applyStreamFault(res, fault, 'responses')) return;
+      step++;
+      await sleep(getTokenDelay(config));
+      if (res.destroyed) return;
+      emit(deltaEvent, { ...at, ...(item.type === 'message' ? { content_index: 0 } : {}), delta });
+    }
+
+    finish(emit, at);
+    emit('response.output_item.done', { output_index: outputIndex, item });
+  }
+
+  // Chaos: the stream closes without its final response event
+  if (chaos === 'truncate') return res.end();
+
+  emit(response.status === 'incomplete' ? 'response.incomplete' : 'response.completed', { response });
+  res.end();
+}
+
+/**
+ * The events that stream one output item: its in-progress shape, the delta
+ * event name and payloads, and the closing events before output_item.done
+ */
+function itemEvents(item) {
+  if (item.type === 'message') {
+    const part = item.content[0];
+    return {
+      item,
+      added: { ...item, status: 'in_progress', content: [] },
+      deltaEvent: 'response.output_text.delta',
+      deltas: tokenize(part.text),
+      finish: (emit, at) => {
+        emit('response.output_text.done', { ...at, content_index: 0, text: part.text });
+        emit('response.content_part.done', { ...at, content_index: 0, part });
+      },
+    };
+  }
+
+  if (item.type === 'function_call') {
+    return {
+      item,
+      added: { ...item, status: 'in_progress', arguments: '' },
+      deltaEvent: 'response.function_call_arguments.delta',
+      deltas: chunkString(item.arguments, 8),
+      finish: (emit, at) => {
+        emit('response.function_call_arguments.done', { ...at, arguments: item.arguments });
+      },
+    };
+  }
+
+  // Reasoning stays hidden: the item opens and closes with nothing in between
+  return { item, added: item, deltaEvent: null, deltas: [], finish: () => {} };
+}
+
+function sendError(res, status, error) {
+  res.writeHead(status, { 'Content-Type': 'application/json' });
+  res.end(JSON.stringify({ error }));
+}
+
+function chunkString(str, size) {
+  const chunks = [];
+  for (let i = 0; i < str.length; i += size) {
+    chunks.push(str.slice(i, i + size));
+  }
+  return chunks;
+}
+
+export default { handleResponses };
@@ -0,0 +1,192 @@
+// Token-bucket rate limits per client, with the providers' ratelimit headers
+//
+// Each client (API key or IP) gets a requests bucket and a tokens bucket per
+// model profile. Buckets hold a minute's allowance and refill continuously.
+
+import { getErrorFamily } from './utils/errors.js';
+
+const MINUTE = 60_000;
+
+export function createRateLimiter() {
+  const buckets = new Map();
+  let swept = Date.now();
+
+  return {
+    /**
+     * Charge one request of `tokens` estimated tokens to a client's bucket.
+     * `limits` is { requestsPerMinute, tokensPerMinute }; either may be unset.
+     * Returns { allowed, exceeded, requests, tokens, requestedTokens } where
+     * exceeded names the limit that refused the request and each dimension
+     * is { limit, remaining, resetMs, retryMs } or null when unlimited.
+     */
+    take(client, scope, limits, tokens) {
+      const key = `${client}\n${scope}`;
+      const at = Date.now();
+      let bucket = buckets.get(key);
+      if (!bucket || !sameLimits(bucket, limits)) {
+        bucket = {
+          requests: createLevel(limits.requestsPerMinute),
+          tokens: createLevel(limits.tokensPerMinute),
+          updated: at,
+        };
+        buckets.set(key, bucket);
+      }
+
+      refill(bucket.requests, at - bucket.updated);
+      refill(bucket.tokens, at - bucket.updated);
+      bucket.updated = at;
+
+      // A bucket untouched for a minute is full again, the same as a new one
+      if (at - swept >= MINUTE) {
+        for (const [other, { updated }] of buckets) {
+          if (other !== key && at - updated >= MINUTE) buckets.delete(other);
+        }
+        swept = at;
+      }
+
+      let exceeded = null;
+      if (bucket.requests && bucket.requests.level < 1) exceeded = 'requests';
+      else if (bucket.tokens && bucket.tokens.level < tokens) exceeded = 'tokens';
+
+      if (!exceeded) {
+        if (bucket.requests) bucket.requests.level -= 1;
+        if (bucket.tokens) bucket.tokens.level -= tokens;
+      }
+
+      return {
+        allowed: !exceeded,
+        exceeded,
+        requests: describe(bucket.requests, 1),
+        tokens: describe(bucket.tokens, tokens),
+        requestedTokens: tokens,
+      };
+    },
+
+    reset() {
+      buckets.clear();
+    },
+  };
+}
+
+function createLevel(perMinute) {
+  return perMinute ? { capacity: perMinute, level: perMinute } : null;
+}
+
+function sameLimits(bucket, limits) {
+  return (bucket.requests?.capacity ?? null) === (limits.requestsPerMinute || null)
+    && (bucket.tokens?.capacity ?? null) === (limits.tokensPerMinute || null);
+}
+
+function refill(level, elapsed) {
+  if (!level) return;
+  level.level = Math.min(level.capacity, level.level + (elapsed * level.capacity) / MINUTE);
+}
+
+// resetMs: until the bucket is full again; retryMs: until `cost` would fit
+function describe(level, cost) {
+  if (!level) return null;
+  const perMs = level.capacity / MINUTE;
+  return {
+    limit: level.capacity,
+    remaining: Math.max(0, Math.floor(level.level)),
+    resetMs: Math.ceil((level.capacity - level.level) / perMs),
+    retryMs: Math.max(0, Math.ceil((cost - level.level) / perMs)),
+  };
+}
+
+/**
+ * Headers describing the client's buckets in the provider's format.
+ * Gemini sends none.
+ */
+export function getRateLimitHeaders(provider, state) {
+  const family = getErrorFamily(provider);
+  const headers = {};
+
+  if (family === 'openai') {
+    for (const [name, dimension] of [['requests', state.requests], ['tokens', state.tokens]]) {
+      if (!dimension) continue;
+      headers[`x-ratelimit-limit-${name}`] = String(dimension.limit);
+      headers[`x-ratelimit-remaining-${name}`] = String(dimension.remaining);
+      headers[`x-ratelimit-reset-${name}`] = formatDuration(dimension.resetMs);
+    }
+  }
+
+  if (family === 'anthropic') {
+    for (const [name, dimension] of [['requests', state.requests], ['tokens', state.tokens]]) {
+      if (!dimension) continue;
+      headers[`anthropic-ratelimit-${name}-limit`] = String(dimension.limit);
+      headers[`anthropic-ratelimit-${name}-remaining`] = String(dimension.remaining);
+      headers[`anthropic-ratelimit-${name}-reset`] = new Date(Date.now() + dimension.resetMs).toISOString();
+    }
+  }
+
+  if (!state.allowed) {
+    headers['retry-after'] = String(Math.max(1, Math.ceil(state[state.exceeded].retryMs / 1000)));
+  }
+
+  return headers;
+}
+
+/**
+ * The provider's 429 body for a refused request
+ */
+export function getRateLimitError(provider, model, state) {
+  const family = getErrorFamily(provider);
+  const dimension = state[state.exceeded];
+  const isTokens = state.exceeded === 'tokens';
+
+  if (family === 'anthropic') {
+    return {
+      type: 'error',
+      error: {
+        type: 'rate_limit_error',
+        message: isTokens
+          ? `This request would exceed the rate limit for your organization of ${dimension.limit} input tokens per minute. Please reduce the prompt length or the maximum tokens requested, or try again later.`
+          : `This request would exceed the rate limit for your organization of ${dimension.limit} requests per minute. Please try again later.`,
+      },
+    };
+  }
+
+  if (family === 'gemini') {
+    return {
+      error: {
+        code: 429,
+        message: 'Resource has been exhausted (e.g. check quota).',
+        status: 'RESOURCE_EXHAUSTED',
+      },
+    };
+  }
+
+  // A request bigger than the whole bucket can never succeed, and says so
+  if (isTokens && state.requestedTokens > dimension.limit) {
+    return {
+      error: {
+        message: `Request too large for ${model || 'default'} in organization org-mock on tokens per min (TPM): Limit ${dimension.limit}, Requested ${state.requestedTokens}. The input or output tokens must be reduced in order to run successfully. Visit https://platform.openai.com/account/rate-limits to learn more.`,
+        type: 'tokens',
+        param: null,
+        code: 'rate_limit_exceeded',
+      },
+    };
+  }
+
+  const used = dimension.limit - dimension.remaining;
+  const requested = isTokens ? state.requestedTokens : 1;
+  return {
+    error: {
+      message: `Rate limit reached for ${model || 'default'} in organization org-mock on ${isTokens ? 'tokens per min (TPM)' : 'requests per min (RPM)'}: Limit ${dimension.limit}, Used ${used}, Requested ${requested}. Please try again in ${formatDuration(dimension.retryMs)}. Visit https://platform.openai.com/account/rate-limits to learn more.`,
+      type: state.exceeded,
+      param: null,
+      code: 'rate_limit_exceeded',
+    },
+  };
+}
+
+// OpenAI's reset format: 120ms, 1.5s, 6m0s
+function formatDuration(ms) {
+  if (ms < 1000) return `${ms}ms`;
+  if (ms < MINUTE) return `${Number((ms / 1000).toFixed(3))}s`;
+  const minutes = Math.floor(ms / MINUTE);
+  return `${minutes}m${Math.round((ms - minutes * MINUTE) / 1000)}s`;
+}
+
+export default { createRateLimiter, getRateLimitHeaders, getRateLimitError };
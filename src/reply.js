@@ -0,0 +1,286 @@
+// Decides what the fake model says, independent of the provider wire format
+
+import { getResponse, getToolCalls, getPersona, getThinking } from './personas/index.js';
+import { matchFixture } from './fixtures/index.js';
+import { extractConversation } from './utils/conversation.js';
+import { parseErrorSentinel, shouldCorruptJson } from './utils/chaos.js';
+import { renderTemplate } from './utils/template.js';
+import { generateFromSchema, violateSchema } from './utils/schema.js';
+import { truncateToTokens, tokenize } from './utils/streaming.js';
+import { random } from './utils/random.js';
+
+// OpenAI reasoning models: o1, o3-mini, o4-mini, ...
+const REASONING_MODEL = /^o\d/;
+
+// What a redacted_thinking block's encrypted data stands for in usage
+const REDACTED_THINKING_TOKENS = 86;
+
+/**
+ * Resolve the reply for a request. Fixture rules win; the persona (from
+ * `_persona` or the configured default) only answers when none match.
+ *
+ * Returns { content, toolCalls, thinking, error, persona, fixture, stopReason,
+ * stopSequence, outputTokens }. `toolCalls` is a list of { name, arguments },
+ * empty for a text reply; several are parallel calls. `error` is a chaos error type to send instead
+ * of a completion, and `stopReason` uses Anthropic's vocabulary (end_turn,
+ * max_tokens, stop_sequence, tool_use); each provider maps it to its own
+ * finish reason. `thinking` is { text, redacted, tokens } when the request
+ * enabled Anthropic extended thinking, otherwise null. `reasoningTokens`
+ * counts visible thinking or OpenAI's hidden reasoning; it is part of
+ * `outputTokens`.
+ */
+export function resolveReply(provider, body, config, meta = {}) {
+  const conversation = extractConversation(provider, body, meta);
+  const wantsThinking = provider === 'anthropic' && body.thinking?.type === 'enabled';
+  const reply = applyLimits(
+    chooseReply(provider, body, config, meta, conversation, wantsThinking),
+    provider,
+    body,
+    config
+  );
+
+  meta.journalEntry?.replies.push({
+    persona: reply.persona,
+    fixture: reply.fixture,
+    content: reply.content,
+    toolCalls: reply.toolCalls,
+    error: reply.error,
+    stopReason: reply.stopReason,
+  });
+
+  return reply;
+}
+
+function chooseReply(provider, body, config, meta, conversation, wantsThinking) {
+  // Replies queued through the admin API answer before any fixture rule
+  const fixture = meta.queue?.length ? meta.queue.shift() : matchFixture(meta.fixtures, conversation);
+  // The server has already rejected unknown names with a 400
+  const persona = getPersona(body._persona || config.defaults.persona, meta.personas);
+  if (fixture) {
+    return {
+      content: renderTemplate(fixture.text, conversation),
+      toolCalls: fixture.toolCalls,
+      thinking: wantsThinking
+        ? { text: fixture.thinking ?? getThinking(persona), redacted: fixture.redactedThinking }
+        : null,
+      error: fixture.error,
+      persona: null,
+      fixture: fixture.name,
+    };
+  }
+
+  let content;
+  let toolCalls = [];
+  const calls = chooseToolCalls(persona, conversation);
+  if (calls) {
+    toolCalls = calls.toolCalls;
+    content = calls.response;
+  } else {
+    content = getResponse(persona);
+  }
+
+  const text = renderTemplate(content, conversation);
+  // JSON mode: a document for the requested schema replaces the persona's prose
+  const format = getResponseFormat(provider, body);
+
+  return {
+    content: format && !toolCalls.length ? structuredContent(format, text, config) : text,
+    toolCalls,
+    thinking: wantsThinking
+      ? { text: getThinking(persona), redacted: Boolean(persona.redactedThinking) }
+      : null,
+    // error_prone persona: "__ERROR__:<type>" becomes the provider's real error response.
+    // Checked on the untemplated text, so an echoed message can't trigger one.
+    error: parseErrorSentinel(content),
+    persona: persona.name,
+    fixture: null,
+  };
+}
+
+/**
+ * The persona's tool calls and their accompanying text, or null for a text reply.
+ *
+ * tool_choice / toolConfig decide whether to call tools: `none` never does,
+ * `required` (or a named tool) always does, and `auto` leaves it to personas
+ * with tool calls or `rounds`. Under `auto` a persona stops calling once the
+ * conversation holds its `rounds` of tool results (one by default) since the
+ * last user message, and answers them in text instead of looping forever.
+ *
+ * Calls go to the request's declared tools, `parallelToolCalls` of them at a
+ * time when the request allows parallel calls, with arguments generated from
+ * each tool's schema unless the persona scripts that tool. Only a request
+ * declaring no tools gets the persona's own calls.
+ */
+function chooseToolCalls(persona, conversation) {
+  const { tools, toolChoice, toolRounds } = conversation;
+  if (toolChoice.mode === 'none') return null;
+  if (toolChoice.mode === 'auto') {
+    if (!persona.toolCalls && !persona.rounds) return null;
+    if (toolRounds >= (persona.rounds ?? 1)) return null;
+  }
+
+  const count = toolChoice.parallel ? persona.parallelToolCalls ?? 1 : 1;
+  if (!tools.length) return persona.toolCalls ? getToolCalls(persona, count) : null;
+
+  const allowed = toolChoice.names.length
+    ? tools.filter(tool => toolChoice.names.includes(tool.name))
+    : tools;
+  if (!allowed.length) return null;
+
+  // Consecutive tools from a random start, each called at most once per turn
+  const start = Math.floor(random() * allowed.length);
+  const chosen = Array.from({ length: Math.min(count, allowed.length) }, (_, i) => allowed[(start + i) % allowed.length]);
+
+  const toolCalls = chosen.map(tool => {
+    const scripted = persona.toolCalls?.find(call => call.name === tool.name);
+    return scripted || { name: tool.name, arguments: generateFromSchema(tool.parameters) };
+  });
+
+  const scriptedIndex = persona.toolCalls?.findIndex(call => call.name === chosen[0].name) ?? -1;
+  const response = scriptedIndex !== -1
+    ? persona.responses[scriptedIndex] || persona.responses[0]
+    : `I'll use ${listNames([...new Set(chosen.map(tool => tool.name))])} for that.`;
+
+  return { toolCalls, response };
+}
+
+function listNames(names) {
+  return names.length > 1 ? `${names.slice(0, -1).join(', ')} and ${names.at(-1)}` : names[0];
+}
+
+/**
+ * The structured output a request asks for, as { schema }, or null for prose.
+ * A null schema is JSON mode without one: any JSON object will do.
+ */
+function getResponseFormat(provider, body) {
+  if (provider === 'gemini') {
+    const generationConfig = body.generationConfig || {};
+    if (generationConfig.responseMimeType !== 'application/json') return null;
+    return { schema: generationConfig.responseJsonSchema ?? generationConfig.responseSchema ?? null };
+  }
+
+  const format = provider === 'responses' ? body.text?.format : provider === 'openai' ? body.response_format : null;
+  if (format?.type === 'json_schema') {
+    return { schema: (provider === 'responses' ? format.schema : format.json_schema?.schema) ?? null };
+  }
+  if (format?.type === 'json_object') return { schema: null };
+  return null;
+}
+
+/**
+ * JSON matching the schema, or wrapping the persona's text when there is none.
+ * Chaos can make it violate the schema or stop partway through the document.
+ */
+function structuredContent({ schema }, text, config) {
+  const value = schema ? generateFromSchema(schema) : { response: text };
+  if (!shouldCorruptJson(config)) return JSON.stringify(value);
+
+  if (schema && random() < 0.5) return JSON.stringify(violateSchema(value, schema));
+  const json = JSON.stringify(value);
+  return json.slice(0, Math.max(1, Math.floor(json.length * (0.2 + random() * 0.6))));
+}
+
+/**
+ * End text replies at the first stop sequence, then cut them at the request's
+ * token budget. Tool calls are left whole. Thinking is cut to its own
+ * budget_tokens; it and hidden reasoning count toward output usage and the
+ * request's token budget. Without a budget nothing is cut.
+ */
+function applyLimits(reply, provider, body, config) {
+  const budget = getMaxTokens(provider, body);
+  const thinking = reply.thinking && fitThinking(reply.thinking, body.thinking.budget_tokens);
+  const reasoning = thinking ? thinking.tokens : getReasoningTokens(provider, body, config);
+  const reasoningTokens = budget != null ? Math.min(reasoning, budget) : reasoning;
+
+  if (reply.toolCalls.length || reply.error) {
+    return {
+      ...reply,
+      thinking,
+      reasoningTokens,
+      stopReason: reply.toolCalls.length ? 'tool_use' : 'end_turn',
+      stopSequence: null,
+      outputTokens: reasoningTokens + tokenize(reply.content || '').length,
+    };
+  }
+
+  const stopped = cutAtStopSequence(reply.content, getStopSequences(provider, body));
+  const maxTokens = budget != null ? budget - reasoningTokens : null;
+  const { text, truncated } = truncateToTokens(stopped.text, maxTokens);
+
+  let stopReason = 'end_turn';
+  if (truncated) stopReason = 'max_tokens';
+  else if (stopped.stopSequence !== null) stopReason = 'stop_sequence';
+
+  return {
+    ...reply,
+    content: text,
+    thinking,
+    reasoningTokens,
+    stopReason,
+    stopSequence: stopReason === 'stop_sequence' ? stopped.stopSequence : null,
+    // Counted the way truncation counts, so usage never exceeds the budget
+    // and a truncated reply used all of it
+    outputTokens: reasoningTokens + tokenize(text).length,
+  };
+}
+
+/**
+ * Hidden reasoning for OpenAI o-series models or any request that sets
+ * reasoning_effort; the token count scales with the effort level
+ */
+function getReasoningTokens(provider, body, config) {
+  if (provider !== 'openai' && provider !== 'responses') return 0;
+
+  const requested = provider === 'responses' ? body.reasoning?.effort : body.reasoning_effort;
+  const effort = requested ?? (REASONING_MODEL.test(body.model || '') ? 'medium' : null);
+  if (!effort) return 0;
+
+  const { effortTokens } = config.reasoning;
+  const base = effortTokens[effort] ?? effortTokens.medium;
+  const jitter = 1 + (random() * 2 - 1) * config.latency.variance;
+  return Math.round(base * jitter);
+}
+
+// A redacted block's tokens come out of the same budget as the visible text
+function fitThinking({ text, redacted }, budgetTokens) {
+  const hidden = redacted ? Math.min(REDACTED_THINKING_TOKENS, budgetTokens ?? Infinity) : 0;
+  const fitted = truncateToTokens(text, budgetTokens == null ? null : budgetTokens - hidden);
+  return { text: fitted.text, redacted: Boolean(redacted), tokens: tokenize(fitted.text).length + hidden };
+}
+
+// The earliest match wins; the sequence itself is not part of the output
+function cutAtStopSequence(text, stopSequences) {
+  let cut = { text, stopSequence: null };
+  let earliest = Infinity;
+  for (const sequence of stopSequences) {
+    const at = sequence ? text.indexOf(sequence) : -1;
+    if (at !== -1 && at < earliest) {
+      earliest = at;
+      cut = { text: text.slice(0, at), stopSequence: sequence };
+    }
+  }
+  return cut;
+}
+
+function getStopSequences(provider, body) {
+  let stop;
+  if (provider === 'gemini') stop = body.generationConfig?.stopSequences;
+  else if (provider === 'anthropic') stop = body.stop_sequences;
+  else if (provider === 'responses') stop = null;
+  else stop = body.stop;
+
+  if (!stop) return [];
+  return Array.isArray(stop) ? stop : [stop];
+}
+
+/**
+ * The output token budget the request asks for, or undefined
+ */
+export function getMaxTokens(provider, body) {
+  if (provider === 'gemini') return body.generationConfig?.maxOutputTokens;
+  if (provider === 'anthropic') return body.max_tokens;
+  if (provider === 'responses') return body.max_output_tokens;
+  return body.max_completion_tokens ?? body.max_tokens;
+}
+
+export default { resolveReply, getMaxTokens };
@@ -1,18 +1,94 @@
 import { createServer } from 'node:http';
 import { handleChatCompletions } from './providers/openai.js';
 import { handleMessages } from './providers/anthropic.js';
-import { handleGenerateContent } from './providers/gemini.js';
-import { shouldTriggerChaos, getChaosResponse } from './utils/chaos.js';
-import { listPersonas } from './personas/index.js';
+import { handleGenerateContent, handleEmbedContent } from './providers/gemini.js';
+import { handleResponses } from './providers/responses.js';
+import { handleCompletions } from './providers/completions.js';
+import { handleEmbeddings } from './providers/embeddings.js';
+import { handleModels } from './providers/models.js';
+import { shouldTriggerChaos, isMidStreamChaos, sendChaosResponse } from './utils/chaos.js';
+import { sendErrorResponse } from './utils/errors.js';
+import { listPersonas, getPersona, unknownPersonaMessage } from './personas/index.js';
+import { createPersonaLibrary } from './personas/custom.js';
+import { loadFixtures } from './fixtures/index.js';
+import { validateRequest, validateToolChoice } from './validation.js';
+import { authenticate, getApiKey, maskKey, sendAuthError } from './auth.js';
+import { getRateLimitHeaders, getRateLimitError } from './ratelimit.js';
+import { extractConversation, estimatePromptTokens } from './utils/conversation.js';
+import { getMaxTokens } from './reply.js';
+import {
+  matchProfile,
+  resolveModelLimits,
+  applyProfile,
+  exceedsContextWindow,
+  findUnsupportedCapability,
+} from './profiles.js';
+import { createSessionStore, SESSION_HEADER } from './sessions.js';
+import { handleAdmin } from './admin.js';
+import { createJournal } from './journal.js';
 import { sleep } from './utils/streaming.js';
+import { createRng, withRng, withSeed } from './utils/random.js';
+import { createRecorder, loadCassette, replayResponse } from './cassette.js';
 
+// POST /v1beta/models/:model:<method>
+const GEMINI_PATH = /^\/v1beta\/models\/([^/]+):(generateContent|streamGenerateContent|embedContent|batchEmbedContents)$/;
+
+// GET /v1/models[/:id] and /v1beta/models[/:id]
+const MODELS_PATH = /^\/(v1|v1beta)\/models(?:\/([^/:]+))?\/?$/;
+
+/**
+ * Create an HTTP server for a fully merged config (see loadConfig)
+ */
 export function createNullModelServer(config) {
-  const server = createServer(async (req, res) => {
+  const nullmodel = createNullModel(config);
+  const server = createServer(nullmodel.handler);
+  server.on('close', nullmodel.close);
+  return server;
+}
+
+/**
+ * The request handler plus the state behind it: sessions (runtime config,
+ * fixtures, queued replies), the request journal, and personasFor(session),
+ * the personas a session can use. close() stops watching the personas directory.
+ */
+export function createNullModel(startupConfig) {
+  // Config, fixtures, queued replies and limits live in sessions the admin API can change
+  const sessions = createSessionStore(startupConfig, loadFixtures(startupConfig.fixtures));
+
+  // Directory personas reload as their files change; a session's inline ones shadow them
+  const library = createPersonaLibrary(startupConfig.personasDir, {
+    onReload: personas => startupConfig.verbose && log('🎭', `Reloaded ${Object.keys(personas).length} persona(s)`),
+    onError: err => log('⚠️', `${err.message} — keeping the previous personas`),
+  });
+  const personasFor = session => ({ ...library.personas, ...session.personas });
+
+  const defaultPersonas = personasFor(sessions.get());
+  if (!getPersona(startupConfig.defaults.persona, defaultPersonas)) {
+    library.close();
+    throw new Error(unknownPersonaMessage(startupConfig.defaults.persona, defaultPersonas));
+  }
+
+  // One PRNG for the whole server when seeded, so a fixed request order replays exactly
+  const rng = startupConfig.seed != null ? createRng(startupConfig.seed) : null;
+
+  // Record mode proxies to a real API; replay mode answers from a cassette
+  const recorder = startupConfig.record ? createRecorder(startupConfig.record, startupConfig.cassette) : null;
+  const cassette = startupConfig.replay ? loadCassette(startupConfig.replay) : null;
+
+  // Every API request, for GET /_admin/requests and the optional JSONL file
+  const journal = createJournal(startupConfig.journal, {
+    onError: err => log('⚠️', `${err.message} — entries stay in memory only`),
+  });
+
+  const handleRequest = async (req, res) => {
+    const session = sessions.get(req.headers[SESSION_HEADER]);
+    const { config } = session;
+
     // CORS
     if (config.cors) {
       res.setHeader('Access-Control-Allow-Origin', '*');
-      res.setHeader('Access-Control-Allow-Methods', 'GET, POST, OPTIONS');
-      res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization, x-api-key, anthropic-version');
+      res.setHeader('Access-Control-Allow-Methods', 'GET, POST, PUT, DELETE, OPTIONS');
+      res.setHeader('Access-Control-Allow-Headers', `Content-Type, Authorization, x-api-key, x-goog-api-key, anthropic-version, x-nullmodel-seed, ${SESSION_HEADER}`);
     }
 
     if (req.method === 'OPTIONS') {
@@ -28,6 +104,18 @@ export function createNullModelServer(config) {
       log('→', req.method, path);
     }
 
+    // Journal everything but the admin API itself; dispatch fills in the provider details
+    const apiKey = getApiKey(req, url);
+    const entry = path.startsWith('/_admin/') ? null : journal.start(req, res, {
+      session: session.id,
+      path,
+      provider: null,
+      model: null,
+      apiKey: apiKey && maskKey(apiKey),
+      body: null,
+      conversation: null,
+    });
+
     try {
       // Health check
       if (path === '/' || path === '/health') {
@@ -42,7 +130,7 @@ export function createNullModelServer(config) {
 
       // List personas
       if (path === '/personas') {
-        return sendJSON(res, 200, { personas: listPersonas() });
+        return sendJSON(res, 200, { personas: listPersonas(personasFor(session)) });
       }
 
       // Config endpoint (read-only)
@@ -54,78 +142,244 @@ export function createNullModelServer(config) {
         });
       }
 
+      // Admin control API, scoped to the caller's session
+      if (path.startsWith('/_admin/')) {
+        const body = req.method === 'GET' || req.method === 'DELETE' ? {} : await parseBody(req);
+        return handleAdmin(req, res, url, body, { sessions, session, journal });
+      }
+
+      // Model catalog: OpenAI and Anthropic share /v1/models, told apart by headers
+      const modelsMatch = req.method === 'GET' && path.match(MODELS_PATH);
+      if (modelsMatch) {
+        const [, version, id] = modelsMatch;
+        let provider = 'openai';
+        if (version === 'v1beta') provider = 'gemini';
+        else if (req.headers['anthropic-version'] || req.headers['x-api-key']) provider = 'anthropic';
+        entry.provider = provider;
+        if (rejectUnauthorized(req, res, url, provider, config)) return;
+        return handleModels(req, res, config, { provider, id: id ? decodeURIComponent(id) : null, url });
+      }
+
       // Parse body for POST requests
       if (req.method !== 'POST') {
         return sendJSON(res, 405, { error: 'Method not allowed' });
       }
 
       const body = await parseBody(req);
+      entry.body = body;
+      if (!body || typeof body !== 'object' || Array.isArray(body)) {
+        return sendJSON(res, 400, { error: 'Request body must be a JSON object' });
+      }
+
+      // Per-request seed: an isolated sequence, unaffected by concurrent requests
+      const requestSeed = req.headers['x-nullmodel-seed'] ?? body._seed;
+      if (requestSeed !== undefined) {
+        return await withSeed(requestSeed, () => dispatch(req, res, url, body, session, entry));
+      }
+
+      return await dispatch(req, res, url, body, session, entry);
+    } catch (err) {
+      if (config.verbose) log('❌', err.message);
+      if (res.headersSent) return res.destroy();
+      sendJSON(res, 500, { error: 'Internal nullmodel error', message: err.message });
+    }
+  };
+
+  const dispatch = async (req, res, url, body, session, entry) => {
+    const { config } = session;
+    const path = url.pathname;
+
+    // Determine provider from path
+    let provider;
+    let providerMeta = {
+      fixtures: session.fixtures,
+      queue: session.queue,
+      responseStore: session.responseStore,
+      personas: personasFor(session),
+    };
+    if (path === '/v1/chat/completions') {
+      provider = 'openai';
+    } else if (path === '/v1/responses') {
+      provider = 'responses';
+    } else if (path === '/v1/completions') {
+      provider = 'completions';
+    } else if (path === '/v1/embeddings') {
+      provider = 'embeddings';
+    } else if (path === '/v1/messages') {
+      provider = 'anthropic';
+    } else if (path.match(GEMINI_PATH)) {
+      provider = 'gemini';
+      const match = path.match(GEMINI_PATH);
+      providerMeta.model = match[1];
+      providerMeta.method = match[2];
+      providerMeta.stream = match[2] === 'streamGenerateContent';
+    } else {
+      return sendJSON(res, 404, {
+        error: `Unknown endpoint: ${path}`,
+        hint: 'nullmodel supports /v1/chat/completions, /v1/responses, /v1/completions and /v1/embeddings (OpenAI), /v1/messages (Anthropic), and /v1beta/models/:model:generateContent or :embedContent (Gemini)',
+      });
+    }
+
+    const apiKey = getApiKey(req, url);
+    const conversation = extractConversation(provider, body, providerMeta);
+    providerMeta.journalEntry = Object.assign(entry, {
+      provider,
+      model: body.model || providerMeta.model || null,
+      conversation,
+    });
 
-      // Determine provider from path
-      let provider;
-      let providerMeta = {};
-      if (path === '/v1/chat/completions') {
-        provider = 'openai';
-      } else if (path === '/v1/messages') {
-        provider = 'anthropic';
-      } else if (path.match(/^\/v1beta\/models\/[^/]+:(generateContent|streamGenerateContent)$/)) {
-        provider = 'gemini';
-        const match = path.match(/^\/v1beta\/models\/([^/]+):(generateContent|streamGenerateContent)$/);
-        providerMeta.model = match[1];
-        providerMeta.stream = match[2] === 'streamGenerateContent';
-      } else {
+    if (rejectUnauthorized(req, res, url, provider, config)) return;
+
+    if (recorder) {
+      if (config.verbose) log('⏺', `Recording ${path} → ${config.record}`);
+      return recorder.forward(req, res, url, body);
+    }
+
+    if (cassette) {
+      const recorded = cassette.find(req.method, path, body);
+      if (!recorded) {
         return sendJSON(res, 404, {
-          error: `Unknown endpoint: ${path}`,
-          hint: 'nullmodel supports /v1/chat/completions (OpenAI), /v1/messages (Anthropic), and /v1beta/models/:model:generateContent (Gemini)',
+          error: `No cassette entry for ${req.method} ${path} with this body`,
+          hint: `Record it first with --record <upstream> --cassette ${config.replay}`,
         });
       }
+      if (config.verbose) log('⏵', `Replaying ${path} from cassette`);
+      return replayResponse(res, recorded);
+    }
 
-      // Chaos mode check
-      const chaosType = shouldTriggerChaos(config);
-      if (chaosType) {
-        if (chaosType === 'slowdown') {
-          if (config.verbose) log('⚡', 'Chaos: slowdown triggered');
-          // Multiply all delays — handled by adjusting config temporarily
-          const slowConfig = {
-            ...config,
-            latency: {
-              ...config.latency,
-              firstToken: config.latency.firstToken * config.chaos.slowdownMultiplier,
-              perToken: config.latency.perToken * config.chaos.slowdownMultiplier,
-            },
-          };
-          return routeToProvider(provider, req, res, body, slowConfig, providerMeta);
-        }
-
-        if (config.verbose) log('💥', `Chaos: ${chaosType} triggered`);
-        const chaosResponse = getChaosResponse(chaosType, provider);
-        res.writeHead(chaosResponse.status, {
-          'Content-Type': 'application/json',
-          ...chaosResponse.headers,
-        });
-        res.end(JSON.stringify(chaosResponse.body));
+    const profile = matchProfile(session.profiles, body.model || providerMeta.model);
+
+    // Rate limits: every response carries the client's bucket state in headers
+    if (config.rateLimits.enabled) {
+      const client = (config.rateLimits.by !== 'ip' && apiKey) || req.socket.remoteAddress;
+      const limits = { ...config.rateLimits, ...profile?.rateLimits };
+      const tokens = estimatePromptTokens(conversation)
+        + (getMaxTokens(provider, body) ?? 0);
+      const state = session.rateLimiter.take(client, profile?.model ?? '*', limits, tokens);
+
+      for (const [name, value] of Object.entries(getRateLimitHeaders(provider, state))) {
+        res.setHeader(name, value);
+      }
+      if (!state.allowed) {
+        if (config.verbose) log('🚦', `Rate limited on ${state.exceeded} (${maskKey(client)})`);
+        res.writeHead(429, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify(getRateLimitError(provider, body.model || providerMeta.model, state)));
         return;
       }
+    }
+
+    // Strict validation answers schema mistakes with the provider's own 400
+    const invalid = validateRequest(provider, body, providerMeta);
+    if (invalid) {
+      if (config.validation === 'strict') {
+        if (config.verbose) log('🚫', `Invalid request: ${invalid.message}`);
+        return sendErrorResponse(res, provider, 400, invalid.message, invalid);
+      }
+      if (config.verbose) log('⚠️', `Would be rejected in strict mode: ${invalid.message}`);
+    }
 
-      // Handle __ERROR__ persona responses
-      return routeToProvider(provider, req, res, body, config, providerMeta);
-    } catch (err) {
-      if (config.verbose) log('❌', err.message);
-      sendJSON(res, 500, { error: 'Internal nullmodel error', message: err.message });
+    // A forced tool that isn't declared would otherwise fall back to prose unnoticed
+    const missingTool = validateToolChoice(provider, conversation);
+    if (missingTool) {
+      if (config.verbose) log('🚫', `Invalid request: ${missingTool.message}`);
+      return sendErrorResponse(res, provider, 400, missingTool.message, missingTool);
     }
-  });
 
-  return server;
+    // Per-model profile: reject what the model can't take, then apply its latency and persona
+    const limits = resolveModelLimits(profile, config.models, body.model || providerMeta.model);
+    if (exceedsContextWindow(limits, provider, body, providerMeta)) {
+      if (config.verbose) log('📏', `Prompt exceeds ${limits.model} context window`);
+      return sendChaosResponse(res, 'context_length', provider);
+    }
+    const unsupported = findUnsupportedCapability(limits, provider, body, providerMeta);
+    if (unsupported) {
+      if (config.verbose) log('🚫', `${limits.model} does not support ${unsupported.capability}`);
+      return sendErrorResponse(res, provider, 400, unsupported.message, {
+        param: unsupported.param,
+        code: 'unsupported_parameter',
+      });
+    }
+    const requestConfig = applyProfile(config, profile);
+
+    // A misspelled persona would otherwise answer as something else and pass unnoticed
+    const personaName = body._persona || requestConfig.defaults.persona;
+    if (!getPersona(personaName, providerMeta.personas)) {
+      if (config.verbose) log('🚫', `Unknown persona "${personaName}"`);
+      return sendErrorResponse(res, provider, 400, unknownPersonaMessage(personaName, providerMeta.personas), {
+        param: body._persona ? '_persona' : null,
+        code: 'unknown_persona',
+      });
+    }
+
+    // Chaos mode check
+    const stream = provider === 'gemini' ? Boolean(providerMeta.stream) : Boolean(body.stream);
+    const chaosType = shouldTriggerChaos(requestConfig, { stream });
+    if (chaosType) {
+      if (chaosType === 'slowdown') {
+        if (config.verbose) log('⚡', 'Chaos: slowdown triggered');
+        // Multiply all delays — handled by adjusting config temporarily
+        const slowConfig = {
+          ...requestConfig,
+          latency: {
+            ...requestConfig.latency,
+            firstToken: requestConfig.latency.firstToken * config.chaos.slowdownMultiplier,
+            perToken: requestConfig.latency.perToken * config.chaos.slowdownMultiplier,
+          },
+        };
+        return routeToProvider(provider, req, res, body, slowConfig, providerMeta);
+      }
+
+      if (isMidStreamChaos(chaosType)) {
+        if (config.verbose) log('⚡', `Chaos: ${chaosType} armed for stream`);
+        return routeToProvider(provider, req, res, body, requestConfig, { ...providerMeta, chaos: chaosType });
+      }
+
+      if (config.verbose) log('💥', `Chaos: ${chaosType} triggered`);
+      return sendChaosResponse(res, chaosType, provider);
+    }
+
+    return routeToProvider(provider, req, res, body, requestConfig, providerMeta);
+  };
+
+  return {
+    handler: (req, res) => withRng(rng, () => handleRequest(req, res)),
+    sessions,
+    journal,
+    personasFor,
+    close: () => library.close(),
+  };
+}
+
+// Auth mode: the caller stops when this has already sent the provider's auth error
+function rejectUnauthorized(req, res, url, provider, config) {
+  if (!config.auth.enabled) return false;
+  const result = authenticate(req, url, config.auth);
+  if (config.verbose) log('🔑', `${maskKey(result.key)} → ${result.outcome}`);
+  if (result.outcome === 'valid') return false;
+  sendAuthError(res, provider, result);
+  return true;
 }
 
 function routeToProvider(provider, req, res, body, config, meta = {}) {
   if (provider === 'openai') {
-    return handleChatCompletions(req, res, body, config);
+    return handleChatCompletions(req, res, body, config, meta);
+  }
+  if (provider === 'responses') {
+    return handleResponses(req, res, body, config, meta);
   }
   if (provider === 'anthropic') {
-    return handleMessages(req, res, body, config);
+    return handleMessages(req, res, body, config, meta);
+  }
+  if (provider === 'completions') {
+    return handleCompletions(req, res, body, config, meta);
+  }
+  if (provider === 'embeddings') {
+    return handleEmbeddings(req, res, body, config, meta);
   }
   if (provider === 'gemini') {
+    if (meta.method === 'embedContent' || meta.method === 'batchEmbedContents') {
+      return handleEmbedContent(req, res, body, config, meta);
+    }
     return handleGenerateContent(req, res, body, config, meta);
   }
 }
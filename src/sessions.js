@@ -0,0 +1,111 @@
+// Runtime state that tests can change while the server stays up
+//
+// Requests carrying an x-nullmodel-session header get their own session, so
+// concurrent test workers don't see each other's config, fixtures or queued
+// responses. Requests without it share the default session.
+
+import { mergeConfig } from './config.js';
+import { loadFixtures } from './fixtures/index.js';
+import { compileProfiles } from './profiles.js';
+import { compilePersonas } from './personas/custom.js';
+import { createRateLimiter } from './ratelimit.js';
+
+export const SESSION_HEADER = 'x-nullmodel-session';
+export const DEFAULT_SESSION = 'default';
+
+// Named sessions kept at once; the least recently used is dropped beyond this
+const MAX_SESSIONS = 1000;
+
+// Read once when the server starts, so a session can't change them
+const STARTUP_KEYS = ['seed', 'record', 'replay', 'cassette', 'journal', 'personasDir'];
+
+/**
+ * Sessions start from the server's startup config and fixtures.
+ * A session is { id, config, fixtures, profiles, personas, queue, rateLimiter,
+ * responseStore }; `personas` are the config's inline ones, compiled.
+ */
+export function createSessionStore(config, fixtures) {
+  const sessions = new Map();
+
+  const create = id => ({
+    id,
+    config: mergeConfig(config),
+    fixtures,
+    profiles: compileProfiles(config.profiles),
+    personas: compilePersonas(config.personas),
+    // Scripted replies that answer the next requests, ahead of fixtures
+    queue: [],
+    rateLimiter: createRateLimiter(),
+    // Responses API objects, kept for previous_response_id chaining
+    responseStore: new Map(),
+  });
+
+  return {
+    get(id = DEFAULT_SESSION) {
+      const session = sessions.get(id) ?? create(id);
+      // Re-inserting keeps the Map in least-recently-used order
+      sessions.delete(id);
+      sessions.set(id, session);
+
+      if (sessions.size > MAX_SESSIONS + (sessions.has(DEFAULT_SESSION) ? 1 : 0)) {
+        const oldest = [...sessions.keys()].find(key => key !== DEFAULT_SESSION);
+        sessions.delete(oldest);
+      }
+      return session;
+    },
+
+    // Back to the startup state; a named session is dropped entirely
+    reset(id = DEFAULT_SESSION) {
+      sessions.delete(id);
+    },
+
+    list() {
+      return [...sessions.keys()];
+    },
+  };
+}
+
+/**
+ * Deep-merge a patch into the session's config. Throws on startup-only keys
+ * and invalid profiles, personas or fixtures, leaving the session unchanged.
+ */
+export function updateSessionConfig(session, patch) {
+  const fixed = STARTUP_KEYS.find(key => patch[key] !== undefined);
+  if (fixed) throw new Error(`"${fixed}" is read at startup and can't be changed through the admin API`);
+
+  const config = mergeConfig(session.config, patch);
+  const profiles = patch.profiles !== undefined ? compileProfiles(config.profiles) : session.profiles;
+  const personas = patch.personas !== undefined ? compilePersonas(config.personas) : session.personas;
+  const fixtures = patch.fixtures !== undefined ? loadFixtures(config.fixtures) : session.fixtures;
+
+  session.config = config;
+  session.profiles = profiles;
+  session.personas = personas;
+  session.fixtures = fixtures;
+}
+
+/**
+ * Replace the session's fixture rules, or add to them with `append`
+ */
+export function setSessionFixtures(session, rules, append = false) {
+  const compiled = loadFixtures(rules);
+  session.fixtures = append ? [...session.fixtures, ...compiled] : compiled;
+}
+
+/**
+ * Queue scripted replies — fixture-style { text | toolCall | error, thinking }
+ * objects without `match`. Each consumes one reply (one choice when n > 1).
+ */
+export function enqueueResponses(session, responses) {
+  const compiled = loadFixtures(responses.map(({ match, ...response }) => response));
+  session.queue.push(...compiled);
+}
+
+export default {
+  SESSION_HEADER,
+  DEFAULT_SESSION,
+  createSessionStore,
+  updateSessionConfig,
+  setSessionFixtures,
+  enqueueResponses,
+};
@@ -1,23 +1,140 @@
 // Chaos mode: inject realistic failure scenarios
 
-export function shouldTriggerChaos(config) {
+import { sleep } from './streaming.js';
+import { random } from './random.js';
+import { getErrorFamily } from './errors.js';
+
+const ERROR_SENTINEL = '__ERROR__:';
+
+// Chaos types in roll order, paired with the config key holding their rate
+const CHAOS_RATES = [
+  ['rate_limit', 'rateLimitRate'],
+  ['server_error', 'errorRate'],
+  ['slowdown', 'slowdownRate'],
+  ['disconnect', 'disconnectRate'],
+  ['stream_error', 'streamErrorRate'],
+  ['stall', 'stallRate'],
+  ['truncate', 'truncateRate'],
+];
+
+// Types that let the response start and then break it partway through
+const MID_STREAM_TYPES = ['disconnect', 'stream_error', 'stall', 'truncate'];
+
+/**
+ * Roll for a chaos type. Mid-stream types need a stream to break, so
+ * non-streaming requests never get them.
+ */
+export function shouldTriggerChaos(config, { stream = true } = {}) {
   if (!config.chaos.enabled) return null;
 
-  const roll = Math.random();
+  const roll = random();
+  let threshold = 0;
 
-  if (roll < config.chaos.rateLimitRate) {
-    return 'rate_limit';
+  for (const [type, key] of CHAOS_RATES) {
+    if (!stream && isMidStreamChaos(type)) continue;
+    threshold += config.chaos[key] || 0;
+    if (roll < threshold) return type;
   }
 
-  if (roll < config.chaos.rateLimitRate + config.chaos.errorRate) {
-    return 'server_error';
+  return null;
+}
+
+/**
+ * Structured output chaos, rolled separately since it only applies to JSON
+ * replies: whether this one comes back invalid
+ */
+export function shouldCorruptJson(config) {
+  if (!config.chaos.enabled) return false;
+  return random() < (config.chaos.invalidJsonRate || 0);
+}
+
+export function isMidStreamChaos(type) {
+  return MID_STREAM_TYPES.includes(type);
+}
+
+/**
+ * Decide where a mid-stream chaos type breaks a stream of `tokenCount` units.
+ * Faults land somewhere in the middle so the client has already rendered
+ * part of the answer; `truncate` only drops the terminating event.
+ */
+export function createStreamFault(type, config, tokenCount) {
+  if (!isMidStreamChaos(type)) return null;
+
+  // A single-unit stream (e.g. a whole Gemini tool call) breaks before it
+  const at = type === 'truncate'
+    ? tokenCount
+    : Math.min(tokenCount - 1, Math.max(1, Math.floor(tokenCount * (0.2 + random() * 0.6))));
+
+  return { type, at, stallDuration: config.chaos.stallDuration };
+}
+
+/**
+ * Apply a stream fault at its token position.
+ * Returns true when the stream is finished and the caller must stop writing.
+ */
+export async function applyStreamFault(res, fault, provider) {
+  if (fault.type === 'stall') {
+    await sleep(fault.stallDuration);
+    return res.destroyed;
   }
 
-  if (roll < config.chaos.rateLimitRate + config.chaos.errorRate + config.chaos.slowdownRate) {
-    return 'slowdown';
+  if (fault.type === 'disconnect') {
+    res.destroy();
+    return true;
   }
 
-  return null;
+  if (fault.type === 'stream_error') {
+    res.write(getStreamErrorEvent(provider));
+    res.end();
+    return true;
+  }
+
+  return false;
+}
+
+/**
+ * In-band error event, in the shape each provider sends after a 200 has
+ * already gone out
+ */
+export function getStreamErrorEvent(provider = 'openai') {
+  if (provider === 'anthropic') {
+    const data = {
+      type: 'error',
+      error: { type: 'overloaded_error', message: 'Overloaded' },
+    };
+    return `event: error\ndata: ${JSON.stringify(data)}\n\n`;
+  }
+
+  if (provider === 'responses') {
+    const data = {
+      type: 'error',
+      code: 'server_error',
+      message: 'The server had an error while processing your request. Sorry about that!',
+      param: null,
+    };
+    return `event: error\ndata: ${JSON.stringify(data)}\n\n`;
+  }
+
+  if (provider === 'gemini') {
+    const data = {
+      error: {
+        code: 503,
+        message: 'The model is overloaded. Please try again later.',
+        status: 'UNAVAILABLE',
+      },
+    };
+    return `data: ${JSON.stringify(data)}\n\n`;
+  }
+
+  const data = {
+    error: {
+      message: 'The server had an error while processing your request. Sorry about that!',
+      type: 'server_error',
+      param: null,
+      code: null,
+    },
+  };
+  return `data: ${JSON.stringify(data)}\n\n`;
 }
 
 export function getChaosResponse(type, provider = 'openai') {
@@ -159,7 +276,46 @@ export function getChaosResponse(type, provider = 'openai') {
     },
   };
 
-  return errors[type]?.[provider] || errors.server_error[provider] || errors.server_error.openai;
+  const family = getErrorFamily(provider);
+  return errors[type]?.[family] || errors.server_error[family] || errors.server_error.openai;
+}
+
+/**
+ * Extract the error type from a persona sentinel like "__ERROR__:rate_limit".
+ * Returns null for regular content.
+ */
+export function parseErrorSentinel(content) {
+  if (typeof content !== 'string' || !content.startsWith(ERROR_SENTINEL)) return null;
+  return content.slice(ERROR_SENTINEL.length).trim();
+}
+
+/**
+ * Write a provider-specific error envelope as the full HTTP response.
+ * Real APIs fail before the stream starts, so this applies to streaming
+ * and non-streaming requests alike. When rate limits are on, the response
+ * already carries the client's bucket headers; the canned ones never replace them.
+ */
+export function sendChaosResponse(res, type, provider) {
+  const chaosResponse = getChaosResponse(type, provider);
+  const bucketed = res.getHeaderNames().some(name => name.includes('ratelimit'));
+  const headers = Object.fromEntries(
+    Object.entries(chaosResponse.headers || {})
+      .filter(([name]) => !res.hasHeader(name) && !(bucketed && name.includes('ratelimit')))
+  );
+  res.writeHead(chaosResponse.status, {
+    'Content-Type': 'application/json',
+    ...headers,
+  });
+  res.end(JSON.stringify(chaosResponse.body));
 }
 
-export default { shouldTriggerChaos, getChaosResponse };
+export default {
+  shouldTriggerChaos,
+  isMidStreamChaos,
+  createStreamFault,
+  applyStreamFault,
+  getStreamErrorEvent,
+  getChaosResponse,
+  parseErrorSentinel,
+  sendChaosResponse,
+};
@@ -0,0 +1,196 @@
+// Normalizes the three providers' request shapes into one conversation view
+
+import { estimateTokens } from './streaming.js';
+
+/**
+ * Extract the parts of a request that matter for choosing a response:
+ * model, system prompt, plain-text message history, and the declared tools —
+ * `tools` as { name, description, parameters } with their JSON Schema,
+ * `toolNames`, and `toolChoice` as { mode: 'auto' | 'none' | 'required', names,
+ * parallel }, where a non-empty `names` limits which tools may be called.
+ *
+ * Tool results are messages with role 'tool' whatever the provider calls them;
+ * `toolRounds` counts the turns of them since the last user message.
+ */
+export function extractConversation(provider, body, meta = {}) {
+  if (provider === 'anthropic') return fromAnthropic(body);
+  if (provider === 'gemini') return fromGemini(body, meta);
+  if (provider === 'responses') return fromResponses(body);
+  if (provider === 'completions') return fromCompletions(body);
+  return fromOpenAI(body);
+}
+
+function fromOpenAI(body) {
+  const messages = [];
+  const system = [];
+
+  for (const message of objects(body.messages)) {
+    const text = textFromParts(message.content);
+    if (message.role === 'system' || message.role === 'developer') {
+      system.push(text);
+    } else if (message.role === 'function') {
+      messages.push({ role: 'tool', text });
+    } else {
+      messages.push({ role: message.role, text });
+    }
+  }
+
+  const tools = [
+    ...objects(objects(body.tools).map(t => t.function)),
+    ...objects(body.functions),
+  ];
+
+  const toolChoice = openAIToolChoice(body.tool_choice ?? body.function_call, body.parallel_tool_calls);
+  return build(body.model, system, messages, tools, toolChoice);
+}
+
+// 'auto' | 'none' | 'required', or a named function in either the tools or legacy functions shape
+function openAIToolChoice(choice, parallelToolCalls) {
+  // Only an explicit false turns parallel calls off; null means the default
+  const parallel = parallelToolCalls !== false;
+  if (!choice || typeof choice === 'string') return { mode: choice || 'auto', names: [], parallel };
+  const name = choice.function?.name ?? choice.name;
+  return name ? { mode: 'required', names: [name], parallel } : { mode: 'auto', names: [], parallel };
+}
+
+// Responses API: `input` is a string or a list of message and tool items
+function fromResponses(body) {
+  const messages = [];
+  const system = [body.instructions];
+  const input = typeof body.input === 'string'
+    ? [{ role: 'user', content: body.input }]
+    : objects(body.input);
+
+  for (const item of input) {
+    if (item.type === 'function_call_output') {
+      messages.push({ role: 'tool', text: textFromParts(item.output) });
+    } else if (item.type === 'function_call') {
+      messages.push({ role: 'assistant', text: '' });
+    } else if (item.role === 'system' || item.role === 'developer') {
+      system.push(textFromParts(item.content));
+    } else if (item.role) {
+      messages.push({ role: item.role, text: textFromParts(item.content) });
+    }
+  }
+
+  const tools = objects(body.tools).filter(t => t.type === 'function');
+
+  return build(body.model, system, messages, tools, openAIToolChoice(body.tool_choice, body.parallel_tool_calls));
+}
+
+// Legacy completions: the prompt is the only "message", and there are no tools
+function fromCompletions(body) {
+  const messages = [{ role: 'user', text: String(body.prompt ?? '') }];
+  return build(body.model, [], messages, [], null);
+}
+
+function fromAnthropic(body) {
+  // Tool results come back as tool_result blocks in a user turn
+  const messages = objects(body.messages).map(message => {
+    const results = Array.isArray(message.content)
+      ? message.content.filter(block => block?.type === 'tool_result')
+      : [];
+    return results.length
+      ? { role: 'tool', text: results.map(block => textFromParts(block.content)).filter(Boolean).join('\n') }
+      : { role: message.role, text: textFromParts(message.content) };
+  });
+
+  const tools = objects(body.tools).map(t => ({ name: t.name, description: t.description, parameters: t.input_schema }));
+
+  return build(body.model, [textFromParts(body.system)], messages, tools, anthropicToolChoice(body.tool_choice));
+}
+
+// { type: 'auto' | 'any' | 'none' } or { type: 'tool', name }, each with disable_parallel_tool_use
+function anthropicToolChoice(choice) {
+  const parallel = !choice?.disable_parallel_tool_use;
+  if (choice?.type === 'any') return { mode: 'required', names: [], parallel };
+  if (choice?.type === 'tool') return { mode: 'required', names: [choice.name], parallel };
+  if (choice?.type === 'none') return { mode: 'none', names: [], parallel };
+  return { mode: 'auto', names: [], parallel };
+}
+
+function fromGemini(body, meta) {
+  const instruction = body.systemInstruction || body.system_instruction;
+  const system = instruction ? [textFromParts(instruction.parts)] : [];
+
+  // functionResponse parts carry tool results, in a user (or legacy function) turn
+  const messages = objects(body.contents).map(content => {
+    const isResult = objects(content.parts).some(part => part.functionResponse || part.function_response);
+    if (isResult) return { role: 'tool', text: textFromParts(content.parts) };
+    return {
+      role: content.role === 'model' ? 'assistant' : content.role || 'user',
+      text: textFromParts(content.parts),
+    };
+  });
+
+  const tools = objects(body.tools).flatMap(tool =>
+    objects(tool.functionDeclarations || tool.function_declarations).map(d => ({
+      name: d.name,
+      description: d.description,
+      parameters: d.parametersJsonSchema || d.parameters_json_schema || d.parameters,
+    }))
+  );
+
+  return build(meta.model, system, messages, tools, geminiToolChoice(body.toolConfig || body.tool_config));
+}
+
+// functionCallingConfig.mode: AUTO | VALIDATED | ANY | NONE, optionally with allowedFunctionNames
+function geminiToolChoice(toolConfig) {
+  const config = toolConfig?.functionCallingConfig || toolConfig?.function_calling_config || {};
+  const mode = String(config.mode || 'AUTO').toUpperCase();
+  const allowed = config.allowedFunctionNames || config.allowed_function_names;
+  const names = Array.isArray(allowed) ? allowed : [];
+  // Gemini has no switch for parallel calls; it may always make several
+  if (mode === 'ANY') return { mode: 'required', names, parallel: true };
+  if (mode === 'NONE') return { mode: 'none', names: [], parallel: true };
+  return { mode: 'auto', names, parallel: true };
+}
+
+function build(model, system, messages, tools, toolChoice) {
+  const lastUserIndex = messages.findLastIndex(m => m.role === 'user');
+  const lastUser = messages[lastUserIndex];
+  // Parallel results arrive as consecutive tool messages and make one round
+  const toolRounds = messages
+    .slice(lastUserIndex + 1)
+    .filter((m, i, turns) => m.role === 'tool' && turns[i - 1]?.role !== 'tool')
+    .length;
+  const declared = tools
+    .filter(tool => tool.name)
+    .map(({ name, description, parameters }) => ({ name, description: description || '', parameters: parameters || {} }));
+
+  return {
+    model: model || '',
+    system: system.filter(Boolean).join('\n'),
+    messages,
+    lastUserMessage: lastUser?.text || '',
+    tools: declared,
+    toolNames: declared.map(tool => tool.name),
+    toolChoice: toolChoice || { mode: 'none', names: [], parallel: false },
+    toolRounds,
+  };
+}
+
+// The object entries of a list; lenient mode lets nulls, junk and non-lists through
+function objects(list) {
+  return Array.isArray(list) ? list.filter(item => item && typeof item === 'object') : [];
+}
+
+// Content may be a string, an array of typed parts, or a Gemini parts array
+function textFromParts(content) {
+  if (!content) return '';
+  if (typeof content === 'string') return content;
+  if (!Array.isArray(content)) return content.text || '';
+  return content
+    .map(part => (typeof part === 'string' ? part : part?.text || ''))
+    .filter(Boolean)
+    .join('\n');
+}
+
+/**
+ * Rough prompt size: the system prompt plus every message's text
+ */
+export function estimatePromptTokens({ system, messages }) {
+  return estimateTokens(system) + messages.reduce((sum, m) => sum + estimateTokens(m.text), 0);
+}
+
+export default { extractConversation, estimatePromptTokens };
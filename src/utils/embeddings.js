@@ -0,0 +1,72 @@
+// Deterministic fake embeddings via feature hashing
+//
+// Each word and character trigram is hashed to a dimension and a sign, so
+// the same text always gives the same vector and texts sharing words point
+// in similar directions — enough for cosine-similarity code paths to behave.
+
+import { createHash } from 'node:crypto';
+
+const TRIGRAM_WEIGHT = 0.5;
+
+// Native vector sizes; a request may shorten a vector but not lengthen it
+const MODEL_DIMENSIONS = {
+  'text-embedding-3-small': 1536,
+  'text-embedding-3-large': 3072,
+  'text-embedding-ada-002': 1536,
+  'text-embedding-004': 768,
+  'gemini-embedding-001': 3072,
+};
+
+/**
+ * The largest vector `model` returns; unknown models get `fallback`
+ */
+export function maxDimensions(model, fallback) {
+  return MODEL_DIMENSIONS[model] ?? fallback;
+}
+
+/**
+ * Why a requested dimension count can't be served, or null when it can:
+ * 'type' (not an integer), 'minimum' (below 1) or 'maximum' (above `max`)
+ */
+export function checkDimensions(value, max) {
+  if (value === undefined || value === null) return null;
+  if (!Number.isInteger(value)) return 'type';
+  if (value < 1) return 'minimum';
+  if (value > max) return 'maximum';
+  return null;
+}
+
+/**
+ * Embed text into a unit-length vector of the given dimension
+ */
+export function embed(text, dimensions) {
+  const vector = new Array(dimensions).fill(0);
+
+  for (const word of String(text).toLowerCase().match(/\w+/g) || []) {
+    addFeature(vector, `w:${word}`, 1);
+    const padded = ` ${word} `;
+    for (let i = 0; i + 3 <= padded.length; i++) {
+      addFeature(vector, `t:${padded.slice(i, i + 3)}`, TRIGRAM_WEIGHT);
+    }
+  }
+
+  const norm = Math.sqrt(vector.reduce((sum, v) => sum + v * v, 0));
+  return norm ? vector.map(v => v / norm) : vector;
+}
+
+/**
+ * Encode a vector the way OpenAI's encoding_format: "base64" does —
+ * little-endian float32s
+ */
+export function toBase64(vector) {
+  return Buffer.from(new Float32Array(vector).buffer).toString('base64');
+}
+
+function addFeature(vector, feature, weight) {
+  const digest = createHash('md5').update(feature).digest();
+  const index = digest.readUInt32LE(0) % vector.length;
+  const sign = digest[4] & 1 ? 1 : -1;
+  vector[index] += sign * weight;
+}
+
+export default { embed, toBase64, maxDimensions, checkDimensions };
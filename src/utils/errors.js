@@ -0,0 +1,77 @@
+// Provider-shaped error envelopes for errors nullmodel raises itself
+
+// Endpoints that share another provider's error envelopes
+const ERROR_FAMILIES = {
+  responses: 'openai',
+  completions: 'openai',
+  embeddings: 'openai',
+};
+
+const ANTHROPIC_TYPES = {
+  400: 'invalid_request_error',
+  401: 'authentication_error',
+  403: 'permission_error',
+  404: 'not_found_error',
+  413: 'request_too_large',
+  429: 'rate_limit_error',
+  500: 'api_error',
+  529: 'overloaded_error',
+};
+
+const GEMINI_STATUSES = {
+  400: 'INVALID_ARGUMENT',
+  401: 'UNAUTHENTICATED',
+  403: 'PERMISSION_DENIED',
+  404: 'NOT_FOUND',
+  429: 'RESOURCE_EXHAUSTED',
+  500: 'INTERNAL',
+  503: 'UNAVAILABLE',
+};
+
+/**
+ * The provider family whose error format an endpoint uses
+ */
+export function getErrorFamily(provider = 'openai') {
+  return ERROR_FAMILIES[provider] || provider;
+}
+
+/**
+ * Build an error body in the provider's format. `type`, `param` and `code`
+ * only appear in OpenAI's envelope; Anthropic and Gemini derive their error
+ * type from the status.
+ */
+export function buildErrorBody(provider, status, message, { type, param = null, code = null } = {}) {
+  const family = getErrorFamily(provider);
+
+  if (family === 'anthropic') {
+    return {
+      type: 'error',
+      error: { type: ANTHROPIC_TYPES[status] || 'api_error', message },
+    };
+  }
+
+  if (family === 'gemini') {
+    return {
+      error: { code: status, message, status: GEMINI_STATUSES[status] || 'UNKNOWN' },
+    };
+  }
+
+  return {
+    error: {
+      message,
+      type: type || (status >= 500 ? 'server_error' : 'invalid_request_error'),
+      param,
+      code,
+    },
+  };
+}
+
+/**
+ * Write a provider-shaped error as the full HTTP response
+ */
+export function sendErrorResponse(res, provider, status, message, details = {}, headers = {}) {
+  res.writeHead(status, { 'Content-Type': 'application/json', ...headers });
+  res.end(JSON.stringify(buildErrorBody(provider, status, message, details)));
+}
+
+export default { getErrorFamily, buildErrorBody, sendErrorResponse };
@@ -0,0 +1,69 @@
+// Seedable randomness shared by personas, IDs, latency and chaos
+//
+// Every random choice goes through random(). Outside a seeded scope it is
+// Math.random(); inside one it reads from a deterministic PRNG, so the same
+// request sequence replays byte for byte.
+
+import { AsyncLocalStorage } from 'node:async_hooks';
+
+// Fixed clock for seeded runs (2025-01-01T00:00:00Z)
+const SEEDED_EPOCH_MS = 1735689600000;
+
+const scope = new AsyncLocalStorage();
+
+/**
+ * Create a mulberry32 PRNG. Strings are hashed, so "abc" and 42 both work.
+ */
+export function createRng(seed) {
+  let state = hashSeed(seed);
+  const next = () => {
+    state = (state + 0x6d2b79f5) | 0;
+    let t = Math.imul(state ^ (state >>> 15), 1 | state);
+    t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+  next.seeded = true;
+  return next;
+}
+
+/**
+ * Run fn with rng as the source for random(). A null rng leaves the
+ * surrounding scope (or Math.random) in effect.
+ */
+export function withRng(rng, fn) {
+  return rng ? scope.run(rng, fn) : fn();
+}
+
+/**
+ * Run fn with a fresh PRNG for a single seed
+ */
+export function withSeed(seed, fn) {
+  return scope.run(createRng(seed), fn);
+}
+
+export function random() {
+  const rng = scope.getStore();
+  return rng ? rng() : Math.random();
+}
+
+export function isSeeded() {
+  return Boolean(scope.getStore()?.seeded);
+}
+
+/**
+ * Wall clock in ms, pinned to a fixed epoch while seeded
+ */
+export function now() {
+  return isSeeded() ? SEEDED_EPOCH_MS : Date.now();
+}
+
+function hashSeed(seed) {
+  const str = String(seed);
+  let h = 2166136261;
+  for (let i = 0; i < str.length; i++) {
+    h = Math.imul(h ^ str.charCodeAt(i), 16777619);
+  }
+  return h >>> 0;
+}
+
+export default { createRng, withRng, withSeed, random, isSeeded, now };
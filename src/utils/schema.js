@@ -0,0 +1,245 @@
+// Fake values that satisfy a JSON Schema, for tool call arguments and
+// structured output
+//
+// Covers what tool definitions use in practice: types (including Gemini's
+// upper-case OpenAPI ones), enum/const, required and optional properties,
+// nested objects and arrays, anyOf/oneOf/allOf, local $refs, numeric bounds
+// and string lengths and formats. Every pick goes through random(), so seeded
+// runs generate the same arguments.
+
+import { random, now } from './random.js';
+
+// Nested $refs and recursive schemas stop here
+const MAX_DEPTH = 8;
+
+// Schemas may ask for huge minimums; generated values stop at these sizes
+const MAX_ITEMS = 100;
+const MAX_STRING_LENGTH = 1000;
+
+// Plausible strings for common property names; anything else gets a generic word
+const STRING_HINTS = [
+  [/location|address/i, ['San Francisco, CA', 'London, UK', 'Tokyo, Japan']],
+  [/city/i, ['Paris', 'Berlin', 'Toronto']],
+  [/country/i, ['US', 'GB', 'JP']],
+  [/email/i, ['alex@example.com', 'sam@example.org']],
+  [/url|link|href/i, ['https://example.com', 'https://example.org/docs']],
+  [/query|search|keyword|term/i, ['recent orders', 'quarterly report', 'open issues']],
+  [/name|title/i, ['Q4 Planning Notes', 'Project Atlas', 'Weekly Sync']],
+  [/(^|_)id$|[a-z]Id$/, ['a1b2c3', 'ord_1001', 'usr_42']],
+  [/lang/i, ['en', 'fr', 'de']],
+  [/unit/i, ['celsius', 'fahrenheit']],
+  [/date/i, ['2025-01-15']],
+  [/message|text|content|body|description|prompt/i, ['Hello from nullmodel', 'Draft for review']],
+];
+
+const WORDS = ['alpha', 'sample', 'example', 'pending', 'default', 'test'];
+
+/**
+ * Generate a value valid against `schema`. `key` is the property name the
+ * value is for, used to pick realistic strings.
+ */
+export function generateFromSchema(schema, key = '') {
+  return generate(schema || {}, key, schema || {}, 0);
+}
+
+/**
+ * A variant of a generated `value` that fails `schema`, for chaos: a required
+ * property dropped, or a property (or the value itself) of the wrong type
+ */
+export function violateSchema(value, schema = {}) {
+  if (value && typeof value === 'object' && !Array.isArray(value)) {
+    const required = (schema.required || []).filter(name => Object.hasOwn(value, name));
+    if (required.length) {
+      const { [pick(required)]: dropped, ...rest } = value;
+      return rest;
+    }
+    const keys = Object.keys(value);
+    if (keys.length) {
+      const key = pick(keys);
+      return { ...value, [key]: wrongType(value[key]) };
+    }
+  }
+  return wrongType(value);
+}
+
+function wrongType(value) {
+  return typeof value === 'string' ? 42 : 'invalid';
+}
+
+function generate(schema, key, root, depth) {
+  if (schema.$ref) {
+    const target = depth < MAX_DEPTH ? resolveRef(schema.$ref, root) : null;
+    return target ? generate(target, key, root, depth + 1) : null;
+  }
+
+  if (schema.const !== undefined) return schema.const;
+  if (Array.isArray(schema.enum) && schema.enum.length) return pick(schema.enum);
+  if (schema.default !== undefined) return schema.default;
+  if (Array.isArray(schema.examples) && schema.examples.length) return schema.examples[0];
+
+  const variants = schema.anyOf || schema.oneOf;
+  if (Array.isArray(variants) && variants.length) {
+    const usable = variants.filter(variant => getType(variant) !== 'null');
+    return generate(pick(usable.length ? usable : variants), key, root, depth + 1);
+  }
+  if (Array.isArray(schema.allOf)) {
+    return generate(mergeAllOf(schema), key, root, depth + 1);
+  }
+
+  switch (getType(schema)) {
+    case 'object': return generateObject(schema, root, depth);
+    case 'array': return generateArray(schema, key, root, depth);
+    case 'integer': return generateNumber(schema, true);
+    case 'number': return generateNumber(schema, false);
+    case 'boolean': return random() < 0.5;
+    case 'null': return null;
+    default: return generateString(schema, key);
+  }
+}
+
+// Gemini sends OpenAPI types in upper case; a type list may include "null"
+function getType(schema) {
+  let type = schema.type;
+  if (Array.isArray(type)) type = type.find(t => String(t).toLowerCase() !== 'null') ?? type[0];
+  if (type) return String(type).toLowerCase();
+  if (schema.properties) return 'object';
+  if (schema.items) return 'array';
+  return 'string';
+}
+
+// Required properties always; optional ones about half the time
+function generateObject(schema, root, depth) {
+  const properties = schema.properties || {};
+  const required = new Set(schema.required || []);
+  const result = {};
+
+  if (depth >= MAX_DEPTH) return result;
+
+  for (const [name, property] of Object.entries(properties)) {
+    if (required.has(name) || random() < 0.5) {
+      result[name] = generate(property || {}, name, root, depth + 1);
+    }
+  }
+  return result;
+}
+
+function generateArray(schema, key, root, depth) {
+  const min = Math.min(toCount(schema.minItems) ?? 1, MAX_ITEMS);
+  const max = Math.max(min, Math.min(toCount(schema.maxItems) ?? min + 2, min + 2, MAX_ITEMS));
+  const length = depth >= MAX_DEPTH ? min : min + Math.floor(random() * (max - min + 1));
+  const items = Array.isArray(schema.items) ? schema.items : null;
+
+  return Array.from({ length }, (_, i) =>
+    generate((items ? items[i] ?? items[items.length - 1] : schema.items) || {}, key, root, depth + 1)
+  );
+}
+
+function generateNumber(schema, integer) {
+  let min = schema.minimum ?? (typeof schema.exclusiveMinimum === 'number' ? schema.exclusiveMinimum : null);
+  let max = schema.maximum ?? (typeof schema.exclusiveMaximum === 'number' ? schema.exclusiveMaximum : null);
+  if (typeof min !== 'number' || !Number.isFinite(min)) min = null;
+  if (typeof max !== 'number' || !Number.isFinite(max)) max = null;
+  if (min === null && max === null) [min, max] = [1, 100];
+  else if (min === null) min = max - 100;
+  else if (max === null) max = min + 100;
+
+  // Draft 4 spells exclusive bounds as booleans next to minimum/maximum
+  let exclusiveMin = schema.exclusiveMinimum === true || schema.exclusiveMinimum === min;
+  let exclusiveMax = schema.exclusiveMaximum === true || schema.exclusiveMaximum === max;
+
+  // Nothing satisfies crossed bounds; read them the way round they were meant
+  if (min > max) [min, max, exclusiveMin, exclusiveMax] = [max, min, exclusiveMax, exclusiveMin];
+
+  const step = typeof schema.multipleOf === 'number' && schema.multipleOf > 0 ? schema.multipleOf : null;
+
+  if (integer) {
+    const low = exclusiveMin && Number.isInteger(min) ? min + 1 : Math.ceil(min);
+    const high = exclusiveMax && Number.isInteger(max) ? max - 1 : Math.floor(max);
+    if (step) {
+      const multiple = pickMultiple(step, low, high, false, false);
+      if (multiple !== null) return multiple;
+    }
+    return low + Math.floor(random() * (Math.max(high - low, 0) + 1));
+  }
+
+  if (step) {
+    const multiple = pickMultiple(step, min, max, exclusiveMin, exclusiveMax);
+    if (multiple !== null) return multiple;
+  }
+
+  // Stay off exclusive bounds: sample the middle 98% of the range
+  const value = min + (0.01 + random() * 0.98) * (max - min);
+  const rounded = Math.round(value * 100) / 100;
+  return rounded > min && rounded < max ? rounded : value;
+}
+
+// A random multiple of `step` within the bounds, or null when none fits
+function pickMultiple(step, low, high, exclusiveLow, exclusiveHigh) {
+  let first = Math.ceil(low / step);
+  let last = Math.floor(high / step);
+  if (exclusiveLow && first * step <= low) first += 1;
+  if (exclusiveHigh && last * step >= high) last -= 1;
+  if (first > last) return null;
+
+  const multiple = (first + Math.floor(random() * (last - first + 1))) * step;
+  // Trim float noise such as 0.30000000000000004
+  return Number(multiple.toPrecision(12));
+}
+
+function generateString(schema, key) {
+  const format = String(schema.format || '').toLowerCase();
+  const date = new Date(now()).toISOString();
+  let value;
+
+  if (format === 'date-time') value = date;
+  else if (format === 'date') value = date.slice(0, 10);
+  else if (format === 'time') value = date.slice(11, 19);
+  else if (format === 'email') value = 'alex@example.com';
+  else if (format === 'uri' || format === 'url') value = 'https://example.com';
+  else if (format === 'uuid') value = uuid();
+  else {
+    const hint = STRING_HINTS.find(([pattern]) => pattern.test(key));
+    value = pick(hint ? hint[1] : WORDS);
+  }
+
+  const minLength = Math.min(toCount(schema.minLength) ?? 0, MAX_STRING_LENGTH);
+  const maxLength = toCount(schema.maxLength) ?? Infinity;
+  while (value.length < minLength) value += ` ${pick(WORDS)}`;
+  return value.slice(0, Math.max(maxLength, minLength));
+}
+
+// Only local references: #/$defs/..., #/definitions/...
+function resolveRef(ref, root) {
+  if (typeof ref !== 'string' || !ref.startsWith('#')) return null;
+  return ref
+    .slice(1)
+    .split('/')
+    .filter(Boolean)
+    .map(segment => decodeURIComponent(segment.replace(/~1/g, '/').replace(/~0/g, '~')))
+    .reduce((node, segment) => (node == null ? null : node[segment]), root);
+}
+
+// A usable minItems/maxItems/minLength/maxLength, or null
+function toCount(value) {
+  return Number.isInteger(value) && value >= 0 ? value : null;
+}
+
+function mergeAllOf({ allOf, ...rest }) {
+  return allOf.reduce((merged, part) => ({
+    ...merged,
+    ...part,
+    properties: { ...merged.properties, ...part.properties },
+    required: [...(merged.required || []), ...(part.required || [])],
+  }), { ...rest, properties: { ...rest.properties }, required: [...(rest.required || [])] });
+}
+
+function uuid() {
+  const hex = Array.from({ length: 32 }, () => Math.floor(random() * 16).toString(16)).join('');
+  return `${hex.slice(0, 8)}-${hex.slice(8, 12)}-4${hex.slice(13, 16)}-a${hex.slice(17, 20)}-${hex.slice(20)}`;
+}
+
+function pick(items) {
+  return items[Math.floor(random() * items.length)];
+}
+
+export default { generateFromSchema, violateSchema };
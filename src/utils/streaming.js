@@ -1,5 +1,7 @@
 // Simulates realistic token-by-token delivery
 
+import { random } from './random.js';
+
 /**
  * Crude token splitter that approximates LLM tokenization.
  * Splits on word boundaries, punctuation, and whitespace — close enough
@@ -16,13 +18,25 @@ export function tokenize(text) {
   return tokens;
 }
 
+/**
+ * Cut text down to at most maxTokens tokens (as counted by tokenize).
+ * Returns { text, truncated }.
+ */
+export function truncateToTokens(text, maxTokens) {
+  const tokens = tokenize(text);
+  if (maxTokens == null || tokens.length <= maxTokens) {
+    return { text, truncated: false };
+  }
+  return { text: tokens.slice(0, maxTokens).join(''), truncated: true };
+}
+
 /**
  * Calculate delay for a token with realistic variance
  */
 export function getTokenDelay(config) {
   const base = config.latency.perToken;
   const variance = config.latency.variance;
-  const jitter = 1 + (Math.random() * 2 - 1) * variance;
+  const jitter = 1 + (random() * 2 - 1) * variance;
   return Math.max(5, Math.round(base * jitter));
 }
 
@@ -32,7 +46,7 @@ export function getTokenDelay(config) {
 export function getFirstTokenDelay(config) {
   const base = config.latency.firstToken;
   const variance = config.latency.variance;
-  const jitter = 1 + (Math.random() * 2 - 1) * variance;
+  const jitter = 1 + (random() * 2 - 1) * variance;
   return Math.max(50, Math.round(base * jitter));
 }
 
@@ -43,7 +57,7 @@ export function generateId(prefix = 'chatcmpl') {
   const chars = 'abcdefghijklmnopqrstuvwxyzABCDEFGHIJKLMNOPQRSTUVWXYZ0123456789';
   let id = '';
   for (let i = 0; i < 24; i++) {
-    id += chars[Math.floor(Math.random() * chars.length)];
+    id += chars[Math.floor(random() * chars.length)];
   }
   return `${prefix}-${id}`;
 }
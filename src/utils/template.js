@@ -0,0 +1,28 @@
+// {{placeholder}} substitution for persona and fixture text
+
+const PLACEHOLDER = /\{\{\s*(\w+)\s*\}\}/g;
+
+/**
+ * Fill a response template from the request's conversation:
+ * {{lastUserMessage}}, {{model}}, {{messageCount}}, {{toolNames}}, {{systemPrompt}},
+ * {{toolRounds}}.
+ * Unknown placeholders are left as written.
+ */
+export function renderTemplate(text, conversation) {
+  if (typeof text !== 'string' || !text.includes('{{')) return text;
+
+  const values = {
+    lastUserMessage: conversation.lastUserMessage,
+    model: conversation.model,
+    messageCount: String(conversation.messages.length),
+    toolNames: conversation.toolNames.join(', '),
+    systemPrompt: conversation.system,
+    toolRounds: String(conversation.toolRounds),
+  };
+
+  return text.replace(PLACEHOLDER, (placeholder, name) =>
+    Object.hasOwn(values, name) ? values[name] : placeholder
+  );
+}
+
+export default { renderTemplate };
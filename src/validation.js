@@ -0,0 +1,393 @@
+// Request validation that mirrors each provider's 400 errors
+//
+// Only the mistakes that commonly pass against a mock and then fail in
+// production are checked; the messages copy the real APIs' wording.
+
+const TOOL_NAME = /^[a-zA-Z0-9_-]{1,64}$/;
+const GEMINI_FUNCTION_NAME = /^[a-zA-Z_][a-zA-Z0-9_.-]{0,63}$/;
+const OPENAI_ROLES = ['system', 'developer', 'user', 'assistant', 'tool', 'function'];
+
+// The most choices (OpenAI's `n`) or candidates (Gemini's candidateCount) a request may ask for
+const MAX_CHOICES = { openai: 128, completions: 128, gemini: 8 };
+
+/**
+ * Check a request body against its provider's schema.
+ * Returns the first problem as { message, param, code }, or null.
+ */
+export function validateRequest(provider, body, meta = {}) {
+  if (provider === 'openai') return validateChat(body);
+  if (provider === 'responses') return validateResponses(body);
+  if (provider === 'completions') return requireModel(body);
+  if (provider === 'embeddings') return validateEmbeddings(body);
+  if (provider === 'anthropic') return validateMessages(body);
+  if (provider === 'gemini') return validateGemini(body, meta);
+  return null;
+}
+
+/**
+ * Check how many choices or candidates a request asks for. Each one is a
+ * generated reply, so handlers refuse a bad count in every validation mode.
+ */
+export function validateChoiceCount(provider, body) {
+  const max = MAX_CHOICES[provider];
+  if (provider === 'gemini') {
+    const count = body.generationConfig?.candidateCount;
+    if (count === undefined || count === null || (Number.isInteger(count) && count >= 1 && count <= max)) return null;
+    return problem(`Invalid value at 'generation_config.candidate_count' (${count}): must be an integer between 1 and ${max}.`);
+  }
+
+  const n = body.n;
+  if (n === undefined || n === null) return null;
+  if (!Number.isInteger(n)) {
+    return problem("Invalid type for 'n': expected an integer, but got a decimal number instead.", 'n', 'invalid_type');
+  }
+  if (n > max) {
+    return problem(`Invalid 'n': integer above maximum value. Expected a value <= ${max}, but got ${n} instead.`, 'n', 'integer_above_max_value');
+  }
+  return checkMinimum(body, 'n', 1);
+}
+
+/**
+ * Check that a forced tool choice names a declared tool. The mock can't call a
+ * tool it has no schema for, and the real APIs refuse these, so the server
+ * rejects them in every validation mode.
+ */
+export function validateToolChoice(provider, { toolChoice, toolNames }) {
+  if (toolChoice.mode !== 'required') return null;
+  const index = toolChoice.names.findIndex(name => !toolNames.includes(name));
+  if (index === -1) return null;
+
+  const name = toolChoice.names[index];
+  if (provider === 'anthropic') {
+    return problem(`tool_choice.name: Tool '${name}' not found in tools`);
+  }
+  if (provider === 'gemini') {
+    return problem(`* GenerateContentRequest.tool_config.function_calling_config.allowed_function_names[${index}]: function '${name}' is not declared in tools.`);
+  }
+  return problem(`Invalid value for 'tool_choice': function '${name}' not found in 'tools'.`, 'tool_choice', 'invalid_value');
+}
+
+function problem(message, param = null, code = null) {
+  return { message, param, code };
+}
+
+function isObject(value) {
+  return Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+}
+
+// OpenAI's names for JSON types in invalid_type messages
+function describeType(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'an array';
+  if (typeof value === 'number') return Number.isInteger(value) ? 'an integer' : 'a decimal number';
+  if (typeof value === 'boolean') return 'a boolean';
+  if (typeof value === 'string') return 'a string';
+  return 'an object';
+}
+
+// --- OpenAI ---
+
+function validateChat(body) {
+  const missingModel = requireModel(body);
+  if (missingModel) return missingModel;
+
+  if (body.messages === undefined) {
+    return problem("Missing required parameter: 'messages'.", 'messages', 'missing_required_parameter');
+  }
+  if (!Array.isArray(body.messages) || body.messages.length === 0) {
+    return problem("Invalid 'messages': empty array. Expected an array with minimum length 1, but got an empty array instead.", 'messages', 'empty_array');
+  }
+
+  let awaitingToolResults = false;
+  for (const [i, message] of body.messages.entries()) {
+    if (!isObject(message)) {
+      return problem(
+        `Invalid type for 'messages[${i}]': expected an object, but got ${describeType(message)} instead.`,
+        `messages[${i}]`,
+        'invalid_type'
+      );
+    }
+    if (!OPENAI_ROLES.includes(message.role)) {
+      return problem(
+        `Invalid value: '${message.role}'. Supported values are: 'system', 'assistant', 'user', 'function', 'tool', and 'developer'.`,
+        `messages[${i}].role`,
+        'invalid_value'
+      );
+    }
+    if (message.role === 'tool' && !awaitingToolResults) {
+      return problem(
+        "Invalid parameter: messages with role 'tool' must be a response to a preceeding message with 'tool_calls'.",
+        `messages.[${i}].role`
+      );
+    }
+    if (message.role !== 'tool') {
+      awaitingToolResults = message.role === 'assistant' && Boolean(message.tool_calls?.length);
+    }
+  }
+
+  return (
+    checkRange(body, 'temperature', 0, 2) ||
+    checkRange(body, 'top_p', 0, 1) ||
+    validateChoiceCount('openai', body) ||
+    checkMinimum(body, 'max_tokens', 1) ||
+    checkMinimum(body, 'max_completion_tokens', 1) ||
+    validateResponseFormat(body) ||
+    validateOpenAITools(body.tools, tool => tool.function, 'tools[%].function')
+  );
+}
+
+function validateResponseFormat(body) {
+  const format = body.response_format;
+  if (format?.type === 'json_object') {
+    const mentionsJson = body.messages.some(message => /json/i.test(JSON.stringify(message.content ?? '')));
+    if (!mentionsJson) {
+      return problem(
+        "'messages' must contain the word 'json' in some form, to use 'response_format' of type 'json_object'.",
+        'messages'
+      );
+    }
+  }
+  if (format?.type === 'json_schema') {
+    if (!format.json_schema) {
+      return problem("Missing required parameter: 'response_format.json_schema'.", 'response_format.json_schema', 'missing_required_parameter');
+    }
+    if (!format.json_schema.name) {
+      return problem("Missing required parameter: 'response_format.json_schema.name'.", 'response_format.json_schema.name', 'missing_required_parameter');
+    }
+  }
+  return null;
+}
+
+function validateResponses(body) {
+  const missingModel = requireModel(body);
+  if (missingModel) return missingModel;
+
+  if (body.input === undefined && !body.previous_response_id) {
+    return problem("Missing required parameter: 'input'.", 'input', 'missing_required_parameter');
+  }
+  if (body.input !== undefined && typeof body.input !== 'string' && !Array.isArray(body.input)) {
+    return problem(
+      `Invalid type for 'input': expected one of a string or array of input items, but got ${describeType(body.input)} instead.`,
+      'input',
+      'invalid_type'
+    );
+  }
+  if (Array.isArray(body.input)) {
+    const i = body.input.findIndex(item => !isObject(item));
+    if (i !== -1) {
+      return problem(
+        `Invalid type for 'input[${i}]': expected an object, but got ${describeType(body.input[i])} instead.`,
+        `input[${i}]`,
+        'invalid_type'
+      );
+    }
+  }
+
+  return (
+    checkRange(body, 'temperature', 0, 2) ||
+    checkMinimum(body, 'max_output_tokens', 16) ||
+    // Responses API function tools are flat: { type, name, parameters }
+    validateOpenAITools(body.tools, tool => tool, 'tools[%]')
+  );
+}
+
+function validateEmbeddings(body) {
+  const missingModel = requireModel(body);
+  if (missingModel) return missingModel;
+
+  if (body.input === undefined || body.input === '' || (Array.isArray(body.input) && !body.input.length)) {
+    return problem("'$.input' is invalid. Please check the API reference: https://platform.openai.com/docs/api-reference.", 'input');
+  }
+  return checkMinimum(body, 'dimensions', 1);
+}
+
+function requireModel(body) {
+  if (!body.model) return problem('you must provide a model parameter');
+  return null;
+}
+
+function validateOpenAITools(tools, getFunction, path) {
+  if (tools === undefined) return null;
+  if (!Array.isArray(tools)) {
+    return problem(`Invalid type for 'tools': expected an array, but got ${describeType(tools)} instead.`, 'tools', 'invalid_type');
+  }
+
+  for (const [i, tool] of tools.entries()) {
+    if (!isObject(tool)) {
+      return problem(
+        `Invalid type for 'tools[${i}]': expected an object, but got ${describeType(tool)} instead.`,
+        `tools[${i}]`,
+        'invalid_type'
+      );
+    }
+    if (tool.type !== 'function') continue;
+    const at = path.replace('%', i);
+    const fn = getFunction(tool);
+
+    if (!fn) {
+      return problem(`Missing required parameter: '${at}'.`, at, 'missing_required_parameter');
+    }
+    if (!isObject(fn)) {
+      return problem(`Invalid type for '${at}': expected an object, but got ${describeType(fn)} instead.`, at, 'invalid_type');
+    }
+    if (!TOOL_NAME.test(fn.name || '')) {
+      return problem(
+        `Invalid '${at}.name': string does not match pattern. Expected a string that matches the pattern '^[a-zA-Z0-9_-]+$'.`,
+        `${at}.name`,
+        'invalid_value'
+      );
+    }
+    if (fn.parameters && fn.parameters.type !== 'object') {
+      return problem(
+        `Invalid schema for function '${fn.name}': schema must be a JSON Schema of 'type: "object"', got 'type: "${fn.parameters.type}"'.`,
+        `${at}.parameters`,
+        'invalid_function_parameters'
+      );
+    }
+  }
+  return null;
+}
+
+function checkRange(body, field, min, max) {
+  const value = body[field];
+  if (value === undefined || value === null) return null;
+  if (value > max) {
+    return problem(`Invalid '${field}': decimal above maximum value. Expected a value <= ${max}, but got ${value} instead.`, field, 'decimal_above_max_value');
+  }
+  if (value < min) {
+    return problem(`Invalid '${field}': decimal below minimum value. Expected a value >= ${min}, but got ${value} instead.`, field, 'decimal_below_min_value');
+  }
+  return null;
+}
+
+function checkMinimum(body, field, min) {
+  const value = body[field];
+  if (value === undefined || value === null || value >= min) return null;
+  return problem(`Invalid '${field}': integer below minimum value. Expected a value >= ${min}, but got ${value} instead.`, field, 'integer_below_min_value');
+}
+
+// --- Anthropic ---
+
+function validateMessages(body) {
+  for (const field of ['model', 'max_tokens', 'messages']) {
+    if (body[field] === undefined) return problem(`${field}: Field required`);
+  }
+  if (body.max_tokens < 1) return problem('max_tokens: Input should be greater than or equal to 1');
+  if (!Array.isArray(body.messages) || body.messages.length === 0) {
+    return problem('messages: at least one message is required');
+  }
+
+  const last = body.messages.length - 1;
+  for (const [i, message] of body.messages.entries()) {
+    if (!isObject(message)) {
+      return problem(`messages.${i}: Input should be a valid dictionary or object to extract fields from`);
+    }
+    if (message.role === 'system') {
+      return problem('messages: Unexpected role "system". The Messages API accepts a top-level `system` parameter, not "system" as an input message role.');
+    }
+    if (message.role !== 'user' && message.role !== 'assistant') {
+      return problem(`messages.${i}.role: Input should be 'user' or 'assistant'`);
+    }
+    if (i > 0 && message.role === body.messages[i - 1].role) {
+      return problem(`messages: roles must alternate between "user" and "assistant", but found multiple "${message.role}" roles in a row`);
+    }
+
+    const isFinalAssistant = i === last && message.role === 'assistant';
+    const empty = !message.content || (Array.isArray(message.content) && message.content.length === 0);
+    if (empty && !isFinalAssistant) {
+      return problem(`messages.${i}: all messages must have non-empty content except for the optional final assistant message`);
+    }
+    if (isFinalAssistant && typeof message.content === 'string' && /\s$/.test(message.content)) {
+      return problem('messages: final assistant content cannot end with trailing whitespace');
+    }
+  }
+
+  if (body.temperature !== undefined && (body.temperature < 0 || body.temperature > 1)) {
+    return problem(`temperature: Input should be ${body.temperature < 0 ? 'greater than or equal to 0' : 'less than or equal to 1'}`);
+  }
+
+  if (body.thinking?.type === 'enabled') {
+    const budget = body.thinking.budget_tokens;
+    if (budget === undefined) return problem('thinking.enabled.budget_tokens: Field required');
+    if (budget < 1024) return problem('thinking.enabled.budget_tokens: Input should be greater than or equal to 1024');
+    if (body.max_tokens <= budget) {
+      return problem('`max_tokens` must be greater than `thinking.budget_tokens`. Please consult our documentation at https://docs.claude.com/en/docs/build-with-claude/extended-thinking#max-tokens-and-context-window-size');
+    }
+  }
+
+  if (body.tools !== undefined && !Array.isArray(body.tools)) {
+    return problem('tools: Input should be a valid list');
+  }
+  for (const [i, tool] of (body.tools || []).entries()) {
+    if (!isObject(tool)) {
+      return problem(`tools.${i}: Input should be a valid dictionary or object to extract fields from`);
+    }
+    // Server tools (web_search, bash, ...) carry a versioned type and no schema
+    if (tool.type && tool.type !== 'custom') continue;
+    if (!TOOL_NAME.test(tool.name || '')) {
+      return problem(`tools.${i}.custom.name: String should match pattern '^[a-zA-Z0-9_-]{1,64}$'`);
+    }
+    if (!tool.input_schema) return problem(`tools.${i}.custom.input_schema: Field required`);
+    if (tool.input_schema.type !== 'object') {
+      return problem(`tools.${i}.custom.input_schema.type: Input should be 'object'`);
+    }
+  }
+
+  return null;
+}
+
+// --- Gemini ---
+
+function validateGemini(body, meta) {
+  if (meta.method === 'embedContent') {
+    return body.content ? null : problem('* EmbedContentRequest.content: content is not specified');
+  }
+  if (meta.method === 'batchEmbedContents') {
+    return body.requests?.length ? null : problem('* BatchEmbedContentsRequest.requests: requests is not specified');
+  }
+
+  if (!Array.isArray(body.contents) || body.contents.length === 0) {
+    return problem('* GenerateContentRequest.contents: contents is not specified');
+  }
+
+  for (const [i, content] of body.contents.entries()) {
+    if (!isObject(content)) {
+      return problem(`Invalid value at 'contents[${i}]' (${describeType(content)}): expected a Content object.`);
+    }
+    if (content.role && content.role !== 'user' && content.role !== 'model') {
+      return problem('Please use a valid role: user, model.');
+    }
+    if (!Array.isArray(content.parts) || content.parts.length === 0) {
+      return problem(`* GenerateContentRequest.contents[${i}].parts: contents.parts must not be empty.`);
+    }
+    const part = content.parts.findIndex(entry => !isObject(entry));
+    if (part !== -1) {
+      return problem(`Invalid value at 'contents[${i}].parts[${part}]' (${describeType(content.parts[part])}): expected a Part object.`);
+    }
+  }
+
+  if (body.tools !== undefined && !Array.isArray(body.tools)) {
+    return problem(`Invalid value at 'tools' (${describeType(body.tools)}): expected a list of Tool objects.`);
+  }
+  for (const [i, tool] of (body.tools || []).entries()) {
+    if (!isObject(tool)) {
+      return problem(`Invalid value at 'tools[${i}]' (${describeType(tool)}): expected a Tool object.`);
+    }
+    const declarations = tool.functionDeclarations || tool.function_declarations || [];
+    if (!Array.isArray(declarations)) {
+      return problem(`Invalid value at 'tools[${i}].function_declarations' (${describeType(declarations)}): expected a list.`);
+    }
+    for (const [j, declaration] of declarations.entries()) {
+      if (!isObject(declaration)) {
+        return problem(`Invalid value at 'tools[${i}].function_declarations[${j}]' (${describeType(declaration)}): expected a FunctionDeclaration object.`);
+      }
+      if (!GEMINI_FUNCTION_NAME.test(declaration.name || '')) {
+        return problem(`* GenerateContentRequest.tools[${i}].function_declarations[${j}].name: Invalid function name. Must start with a letter or an underscore. Must be alphameric (a-z, A-Z, 0-9), underscores (_), dots (.) or dashes (-), with a maximum length of 64.`);
+      }
+    }
+  }
+
+  return null;
+}
+
+export default { validateRequest, validateChoiceCount, validateToolChoice };